@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const glob = require('glob');
+
+const SKILLS_DIR = path.join(__dirname, '../../../skills');
+const CASE_TIMEOUT = 60000;
+
+/**
+ * Read a dotted path ("compliance.passes", "targets.0.id") from a parsed JSON value
+ */
+function getPath(value, dotted) {
+  return dotted.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Run one fixture case: a skill script with arguments, checked by exit code, output
+ * substrings and JSON values
+ *
+ * Case fields: name, script, args, exitCode (default 0), stdout / notStdout / stderr
+ * (substrings), json (dotted path -> expected value, compared as JSON). "{tmp}" in args
+ * stands for a scratch directory shared by the cases of one file, for written output
+ */
+function runCase(scriptsDir, fixtureCase, tmpDir) {
+  const failures = [];
+  const args = (fixtureCase.args || []).map(arg => (tmpDir ? arg.split('{tmp}').join(tmpDir) : arg));
+  const result = spawnSync(process.execPath, [fixtureCase.script, ...args], {
+    cwd: scriptsDir,
+    encoding: 'utf8',
+    timeout: CASE_TIMEOUT
+  });
+
+  if (result.error) {
+    return [`Could not run ${fixtureCase.script}: ${result.error.message}`];
+  }
+
+  const expectedExit = fixtureCase.exitCode === undefined ? 0 : fixtureCase.exitCode;
+  if (result.status !== expectedExit) {
+    failures.push(`Exit code ${result.status}, expected ${expectedExit}${result.stderr ? `: ${result.stderr.trim().split('\n')[0]}` : ''}`);
+  }
+
+  (fixtureCase.stdout || []).forEach(text => {
+    if (!result.stdout.includes(text)) failures.push(`Output does not contain "${text}"`);
+  });
+  (fixtureCase.notStdout || []).forEach(text => {
+    if (result.stdout.includes(text)) failures.push(`Output contains "${text}"`);
+  });
+  (fixtureCase.stderr || []).forEach(text => {
+    if (!result.stderr.includes(text)) failures.push(`Error output does not contain "${text}"`);
+  });
+
+  if (fixtureCase.json) {
+    let output;
+    try {
+      output = JSON.parse(result.stdout);
+    } catch (error) {
+      return [...failures, `Output is not JSON: ${error.message}`];
+    }
+    Object.entries(fixtureCase.json).forEach(([dotted, expected]) => {
+      const actual = getPath(output, dotted);
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        failures.push(`${dotted} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+      }
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Run every fixture file with a "cases" array under skills/<skill>/scripts/fixtures
+ */
+function runAllFixtures() {
+  console.log('🧪 Running skill script fixtures...\n');
+
+  const fixtureFiles = glob.sync('*/scripts/fixtures/*.json', {
+    cwd: SKILLS_DIR,
+    absolute: true
+  }).sort();
+
+  let totalCases = 0;
+  let totalFailures = 0;
+
+  fixtureFiles.forEach((fixtureFile) => {
+    let fixtures;
+    try {
+      fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+    } catch (error) {
+      console.log(`❌ ${path.relative(SKILLS_DIR, fixtureFile)}: ${error.message}`);
+      totalFailures++;
+      return;
+    }
+    // Data files referenced by cases (e.g. recorded regression output) have no cases
+    if (!Array.isArray(fixtures.cases)) return;
+
+    const scriptsDir = path.dirname(path.dirname(fixtureFile));
+    console.log(`📋 ${path.relative(SKILLS_DIR, fixtureFile)}`);
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcag-fixtures-'));
+
+    fixtures.cases.forEach((fixtureCase) => {
+      totalCases++;
+      const failures = runCase(scriptsDir, fixtureCase, tmpDir);
+      if (failures.length === 0) {
+        console.log(`  ✅ ${fixtureCase.name}`);
+      } else {
+        totalFailures++;
+        console.log(`  ❌ ${fixtureCase.name}`);
+        failures.forEach(failure => console.log(`    • ${failure}`));
+      }
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('');
+  });
+
+  console.log('📊 Fixture Summary:');
+  console.log(`  • Cases run: ${totalCases}`);
+  console.log(`  • Failed: ${totalFailures}`);
+
+  if (totalFailures > 0) {
+    console.log('\n❌ Fixtures failed');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All fixtures passed');
+    process.exit(0);
+  }
+}
+
+// Run fixtures if this script is executed directly
+if (require.main === module) {
+  runAllFixtures();
+}
+
+module.exports = { runCase, runAllFixtures };
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Bypass Blocks Checker
+ * Checks an HTML page for ways to skip repeated blocks (WCAG 2.4.1): skip links,
+ * landmarks and headings
+ */
+
+const { parseHtml, loadHtml, walk, getAttribute, getAncestors, getTextContent, describeElement } = require('./html');
+const { getFocusOrder, parseTabIndex, isNativelyFocusable, getExclusionReason } = require('./focusable');
+const { getElementRole, getLandmarks } = require('./roles');
+
+// A skip link should be among the first tab stops on the page
+const SKIP_LINK_POSITIONS = 3;
+const SKIP_LINK_TEXT = /skip|jump|main content|go to content|zum inhalt|aller au contenu/i;
+// Landmarks that usually repeat from page to page
+const REPEATED_ROLES = ['banner', 'navigation'];
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value && !value.startsWith('--')) {
+        options[key] = value;
+        i++; // Skip next arg as it's the value
+      } else {
+        options[key] = true;
+      }
+    }
+  }
+
+  return options;
+}
+
+function isInside(element, container) {
+  return element === container || getAncestors(element).includes(container);
+}
+
+function getFragment(href) {
+  try {
+    return decodeURIComponent(href.slice(1));
+  } catch (e) {
+    return href.slice(1);
+  }
+}
+
+function getAccessibleText(element) {
+  return (getAttribute(element, 'aria-label') || getTextContent(element) || getAttribute(element, 'title') || '').replace(/\s+/g, ' ').trim();
+}
+
+// Element a fragment points to: the first matching id, else the first <a name>
+function findFragmentTarget(root, fragment) {
+  let byId = null;
+  let byName = null;
+  walk(root, element => {
+    if (!byId && getAttribute(element, 'id') === fragment) byId = element;
+    if (!byName && element.tagName === 'a' && getAttribute(element, 'name') === fragment) byName = element;
+  });
+  return byId || byName;
+}
+
+// Whether the target can take focus: focusable, or programmatically via tabindex. Browsers
+// move the sequential focus starting point to a non-focusable target too, so this only
+// affects the recommendation.
+function describeTarget(root, fragment) {
+  const element = findFragmentTarget(root, fragment);
+  if (!element) return { found: false, element: null, line: null, focusable: false, reason: null };
+
+  const hidden = getExclusionReason(element);
+  return {
+    found: true,
+    element: describeElement(element),
+    line: element.line,
+    focusable: !hidden && (isNativelyFocusable(element) || parseTabIndex(element) !== null),
+    reason: hidden
+  };
+}
+
+function isHeading(element, root) {
+  return /^h[1-6]$/.test(element.tagName) || getElementRole(element, root) === 'heading';
+}
+
+// Check the skip link, landmark and heading mechanisms for bypassing repeated blocks
+function checkBypassBlocks(root) {
+  const focusOrder = getFocusOrder(root);
+  const sequence = focusOrder.sequence;
+  const landmarks = getLandmarks(root);
+  const main = landmarks.find(landmark => landmark.role === 'main') || null;
+
+  // Repeated blocks: banner and page-level navigation outside main content
+  const repeatedBlocks = landmarks
+    .filter(landmark => REPEATED_ROLES.includes(landmark.role))
+    .filter(landmark => !main || !isInside(landmark.element, main.element))
+    .filter(landmark => !landmarks.some(other => other !== landmark && REPEATED_ROLES.includes(other.role) && isInside(landmark.element, other.element)))
+    .map(landmark => ({
+      role: landmark.role,
+      label: landmark.label,
+      element: describeElement(landmark.element),
+      line: landmark.line,
+      tabStops: sequence.filter(entry => isInside(entry.element, landmark.element)).length
+    }));
+
+  const mainPosition = main ? sequence.findIndex(entry => isInside(entry.element, main.element)) : -1;
+  const tabStopsBeforeMain = mainPosition === -1 ? null : mainPosition;
+
+  // Skip link candidates: in-page links, preferring ones that read like skip links
+  const fragmentLinks = sequence
+    .map((entry, index) => ({ entry, position: index + 1, href: getAttribute(entry.element, 'href') }))
+    .filter(link => link.entry.element.tagName === 'a' && link.href && /^#.+/.test(link.href) && link.href !== '#top');
+  const candidates = fragmentLinks.filter(link => {
+    const target = findFragmentTarget(root, getFragment(link.href));
+    return SKIP_LINK_TEXT.test(getAccessibleText(link.entry.element)) || Boolean(main && target && isInside(target, main.element));
+  });
+  const early = candidates.find(link => link.position <= SKIP_LINK_POSITIONS);
+  const chosen = early || candidates[0] || null;
+
+  const skipLink = chosen ? {
+    element: chosen.entry.id,
+    text: getAccessibleText(chosen.entry.element),
+    href: chosen.href,
+    position: chosen.position,
+    line: chosen.entry.line,
+    early: chosen.position <= SKIP_LINK_POSITIONS,
+    target: describeTarget(root, getFragment(chosen.href))
+  } : null;
+
+  const headings = [];
+  walk(root, element => {
+    if (isHeading(element, root) && !getExclusionReason(element)) headings.push(element);
+  });
+  const mainHeading = main
+    ? headings.find(heading => isInside(heading, main.element))
+    : headings.find(heading => heading.tagName === 'h1' || getAttribute(heading, 'aria-level') === '1');
+
+  const mechanisms = {
+    skipLink: Boolean(skipLink && skipLink.target.found),
+    landmarks: Boolean(main),
+    headings: Boolean(mainHeading)
+  };
+
+  const applicable = repeatedBlocks.length > 0;
+  const issues = [];
+  const recommendations = [];
+
+  if (applicable) {
+    const blocks = repeatedBlocks.map(block => `${block.role}${block.label ? ` "${block.label}"` : ''} (${block.tabStops} tab stop(s))`).join(', ');
+
+    if (!skipLink) {
+      recommendations.push(`Add a skip link as the first focusable element, pointing at the main content, to bypass ${blocks}`);
+    } else {
+      if (!skipLink.early) {
+        recommendations.push(`Move the skip link "${skipLink.text}" (tab stop ${skipLink.position}) to the start of the page, among the first ${SKIP_LINK_POSITIONS} tab stops`);
+      }
+      if (!skipLink.target.found) {
+        recommendations.push(`Skip link target ${skipLink.href} does not exist: add id="${getFragment(skipLink.href)}" to the main content container, or fix the link`);
+      } else if (!skipLink.target.focusable) {
+        const why = skipLink.target.reason ? ` (${skipLink.target.reason})` : '';
+        recommendations.push(`Add tabindex="-1" to skip link target ${skipLink.target.element}${why} so it also takes focus in older browsers and assistive technology`);
+      }
+    }
+
+    if (!mechanisms.landmarks) {
+      recommendations.push('Wrap the main content in a <main> landmark so assistive technology users can jump to it');
+    }
+    if (!mechanisms.headings) {
+      recommendations.push(main ? 'Start the main content with a heading' : 'Give the page an h1 where the main content starts');
+    }
+    if (!mechanisms.skipLink && !mechanisms.landmarks && !mechanisms.headings) {
+      issues.push(`No mechanism to bypass ${blocks}: no working skip link, main landmark or headings (2.4.1 Bypass Blocks)`);
+    }
+  }
+
+  return {
+    applicable,
+    passes: !applicable || mechanisms.skipLink || mechanisms.landmarks || mechanisms.headings,
+    repeatedBlocks,
+    tabStopsBeforeMain,
+    skipLink,
+    mechanisms,
+    issues,
+    recommendations
+  };
+}
+
+function main() {
+  const options = parseArgs();
+
+  if (!options.html || options.html === true) {
+    console.error('Usage: node bypass.js --html page.html (file or markup) [--json]');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = checkBypassBlocks(parseHtml(loadHtml(options.html)));
+  } catch (e) {
+    console.error(`Could not read HTML: ${e.message}`);
+    process.exit(1);
+  }
+
+  // Output JSON if requested
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  if (!result.applicable) {
+    console.log('➖ 2.4.1 Bypass Blocks: NOT APPLICABLE (no repeated header or navigation blocks found)');
+    return;
+  }
+
+  console.log('Repeated blocks:');
+  result.repeatedBlocks.forEach(block => {
+    const label = block.label ? ` "${block.label}"` : '';
+    console.log(`  - ${block.role}${label}: ${block.element}, line ${block.line}, ${block.tabStops} tab stop(s)`);
+  });
+  if (result.tabStopsBeforeMain !== null) {
+    console.log(`Tab stops before main content: ${result.tabStopsBeforeMain}`);
+  }
+  console.log('');
+
+  if (result.skipLink) {
+    const target = result.skipLink.target;
+    const status = !target.found ? 'target missing' : `target ${target.element}, line ${target.line}${target.focusable ? '' : ', not focusable'}`;
+    console.log(`${result.mechanisms.skipLink ? '✅' : '❌'} Skip link: "${result.skipLink.text}" → ${result.skipLink.href} (tab stop ${result.skipLink.position}, ${status})`);
+  } else {
+    console.log('❌ Skip link: none found');
+  }
+  console.log(`${result.mechanisms.landmarks ? '✅' : '❌'} Main landmark`);
+  console.log(`${result.mechanisms.headings ? '✅' : '❌'} Heading at the start of the main content`);
+  console.log(result.passes ? '✅ 2.4.1 Bypass Blocks: PASS' : '❌ 2.4.1 Bypass Blocks: FAIL');
+
+  if (result.issues.length > 0) {
+    console.log('');
+    console.log('Issues found:');
+    result.issues.forEach(issue => console.log(`- ${issue}`));
+  }
+
+  if (result.recommendations.length > 0) {
+    console.log('');
+    console.log('Recommendations:');
+    result.recommendations.forEach(rec => console.log(`- ${rec}`));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  checkBypassBlocks,
+  findFragmentTarget,
+  SKIP_LINK_POSITIONS
+};
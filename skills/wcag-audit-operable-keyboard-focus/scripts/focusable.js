@@ -0,0 +1,173 @@
+/**
+ * Focusable Elements
+ * Finds focusable elements in parsed HTML and computes the sequential focus navigation order
+ */
+
+const { walk, getAttribute, hasAttribute, getAncestors, getInlineStyle, describeElement } = require('./html');
+const { getElementRole, isLandmarkRole } = require('./roles');
+
+const DISABLEABLE = ['button', 'input', 'select', 'textarea', 'optgroup', 'option', 'fieldset'];
+
+// tabindex as an integer, or null when missing or invalid (HTML "rules for parsing integers")
+function parseTabIndex(element) {
+  const value = getAttribute(element, 'tabindex');
+  if (value === null) return null;
+  const match = value.trim().match(/^[+-]?\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// Elements that are focusable without a tabindex (HTML focusable areas)
+function isNativelyFocusable(element) {
+  const tag = element.tagName;
+
+  if (tag === 'a' || tag === 'area') return hasAttribute(element, 'href');
+  if (tag === 'input') return (getAttribute(element, 'type') || '').toLowerCase() !== 'hidden';
+  if (['button', 'select', 'textarea', 'iframe', 'embed'].includes(tag)) return true;
+  if (tag === 'audio' || tag === 'video') return hasAttribute(element, 'controls');
+  if (tag === 'summary') {
+    const details = element.parent;
+    return Boolean(details && details.tagName === 'details' &&
+      details.children.find(child => child.type === 'element' && child.tagName === 'summary') === element);
+  }
+
+  const editable = getAttribute(element, 'contenteditable');
+  return editable !== null && editable.toLowerCase() !== 'false';
+}
+
+// Actually disabled per HTML: the disabled attribute, or a descendant of a disabled
+// fieldset outside its first legend
+function isDisabled(element) {
+  if (DISABLEABLE.includes(element.tagName) && hasAttribute(element, 'disabled')) return true;
+  if (!DISABLEABLE.includes(element.tagName)) return false;
+
+  let child = element;
+  for (const ancestor of getAncestors(element)) {
+    if (ancestor.tagName === 'fieldset' && hasAttribute(ancestor, 'disabled')) {
+      const legend = ancestor.children.find(c => c.type === 'element' && c.tagName === 'legend');
+      if (child !== legend) return true;
+    }
+    child = ancestor;
+  }
+  return false;
+}
+
+// Why an element cannot receive focus although it would otherwise be focusable, or null
+function getExclusionReason(element) {
+  if (isDisabled(element)) return 'disabled';
+
+  const chain = [element, ...getAncestors(element)];
+  for (let i = 0; i < chain.length; i++) {
+    const node = chain[i];
+    const self = i === 0;
+    const style = getInlineStyle(node);
+
+    if (hasAttribute(node, 'inert')) return self ? 'inert' : `inside inert ${describeElement(node)}`;
+    if (hasAttribute(node, 'hidden')) return self ? 'hidden' : `inside hidden ${describeElement(node)}`;
+    if (style.display === 'none') return self ? 'display:none' : `inside display:none ${describeElement(node)}`;
+    if (node.tagName === 'template') return 'inside template';
+    if (!self && node.tagName === 'dialog' && !hasAttribute(node, 'open')) return `inside closed ${describeElement(node)}`;
+
+    // Content of a closed <details> other than its summary is not rendered
+    if (!self && node.tagName === 'details' && !hasAttribute(node, 'open')) {
+      const summary = node.children.find(c => c.type === 'element' && c.tagName === 'summary');
+      if (!chain.slice(0, i).includes(summary)) return `inside closed ${describeElement(node)}`;
+    }
+  }
+
+  // visibility is inherited, so the nearest element that sets it wins
+  const visibility = chain.map(node => getInlineStyle(node).visibility).find(Boolean);
+  if (visibility === 'hidden' || visibility === 'collapse') return `visibility:${visibility}`;
+
+  return null;
+}
+
+// Landmark ancestors, outermost first, for context in element identifiers. Explicit roles
+// and labels are kept so the identifier still tells landmarks apart.
+function getLandmarkContext(element, root) {
+  const landmarks = getAncestors(element)
+    .filter(node => isLandmarkRole(getElementRole(node, root)))
+    .reverse()
+    .map(node => {
+      const qualifiers = ['role', 'aria-label', 'aria-labelledby', 'title']
+        .filter(name => hasAttribute(node, name))
+        .map(name => `[${name}="${getAttribute(node, name)}"]`);
+      const id = getAttribute(node, 'id');
+      return `${node.tagName}${id ? `#${id}` : ''}${qualifiers.join('')}`;
+    });
+  return landmarks.length > 0 ? landmarks.join(' ') : null;
+}
+
+// Only one radio button per group is a tab stop: the checked one, else the first
+function isSkippedRadio(element, all) {
+  if (element.tagName !== 'input' || (getAttribute(element, 'type') || '').toLowerCase() !== 'radio') return false;
+  const name = getAttribute(element, 'name');
+  if (!name) return false;
+
+  const form = getAncestors(element).find(node => node.tagName === 'form') || null;
+  const group = all.filter(other => other.tagName === 'input' &&
+    (getAttribute(other, 'type') || '').toLowerCase() === 'radio' &&
+    getAttribute(other, 'name') === name &&
+    (getAncestors(other).find(node => node.tagName === 'form') || null) === form);
+
+  const stop = group.find(radio => hasAttribute(radio, 'checked')) || group[0];
+  return stop !== element;
+}
+
+// Collect focusable elements and the sequential navigation order: positive tabindex
+// values first (ascending, ties in document order), then tabindex 0 and native
+// focusables in document order. Negative tabindex is focusable but skipped.
+function getFocusOrder(root) {
+  const candidates = [];
+  walk(root, element => {
+    const tabIndex = parseTabIndex(element);
+    if (tabIndex !== null || isNativelyFocusable(element)) {
+      candidates.push({ element, tabIndex });
+    }
+  });
+
+  const excluded = [];
+  const focusable = [];
+  candidates.forEach((candidate, domIndex) => {
+    const reason = getExclusionReason(candidate.element);
+    if (reason) {
+      excluded.push({ ...candidate, domIndex, reason });
+    } else {
+      focusable.push({ ...candidate, domIndex });
+    }
+  });
+
+  const focusableElements = focusable.map(entry => entry.element);
+  const programmatic = focusable.filter(entry => entry.tabIndex !== null && entry.tabIndex < 0);
+  const sequential = focusable.filter(entry => !(entry.tabIndex !== null && entry.tabIndex < 0) && !isSkippedRadio(entry.element, focusableElements));
+
+  const positive = sequential.filter(entry => entry.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex || a.domIndex - b.domIndex);
+  const natural = sequential.filter(entry => !(entry.tabIndex > 0));
+  const order = [...positive, ...natural];
+
+  const describe = (entry) => {
+    const context = getLandmarkContext(entry.element, root);
+    return {
+      element: entry.element,
+      id: context ? `${context} ${describeElement(entry.element)}` : describeElement(entry.element),
+      tabIndex: entry.tabIndex,
+      line: entry.element.line
+    };
+  };
+
+  // Elements in document order with their 1-based position in the navigation order
+  const domOrdered = [...sequential].sort((a, b) => a.domIndex - b.domIndex);
+  return {
+    elements: domOrdered.map(describe),
+    tabOrder: domOrdered.map(entry => order.indexOf(entry) + 1),
+    sequence: order.map(describe),
+    programmatic: programmatic.map(describe),
+    excluded: excluded.map(entry => ({ ...describe(entry), reason: entry.reason }))
+  };
+}
+
+module.exports = {
+  getFocusOrder,
+  parseTabIndex,
+  isNativelyFocusable,
+  getExclusionReason
+};
@@ -0,0 +1,211 @@
+/**
+ * Visual Reading Order
+ * Derives the expected reading order from element geometry and compares it with the focus order
+ */
+
+const DIRECTIONS = ['ltr', 'rtl'];
+const WRITING_MODES = ['horizontal-tb', 'vertical-rl', 'vertical-lr'];
+
+// Map a physical box to logical axes: block (line progression) and inline (within a line),
+// both increasing in reading direction
+function toLogical(box, direction, writingMode) {
+  const { x, y, width, height } = box;
+
+  if (writingMode === 'vertical-rl') {
+    return { blockStart: -(x + width), blockSize: width, inlineStart: y, inlineSize: height };
+  }
+  if (writingMode === 'vertical-lr') {
+    return { blockStart: x, blockSize: width, inlineStart: y, inlineSize: height };
+  }
+  return {
+    blockStart: y,
+    blockSize: height,
+    inlineStart: direction === 'rtl' ? -(x + width) : x,
+    inlineSize: width
+  };
+}
+
+// Columns as physical ranges along the inline axis. A number splits the elements' extent
+// evenly; an array gives explicit { x, width } (or { y, height } in vertical modes) ranges.
+function resolveColumns(columns, boxes, writingMode) {
+  const vertical = writingMode !== 'horizontal-tb';
+  const start = (box) => (vertical ? box.y : box.x);
+  const size = (box) => (vertical ? box.height : box.width);
+
+  if (Array.isArray(columns)) {
+    return columns.map(column => ({ start: vertical ? column.y : column.x, end: (vertical ? column.y : column.x) + (vertical ? column.height : column.width) }));
+  }
+
+  const count = parseInt(columns, 10);
+  if (!count || count < 2 || boxes.length === 0) return null;
+
+  const min = Math.min(...boxes.map(start));
+  const max = Math.max(...boxes.map(box => start(box) + size(box)));
+  const width = (max - min) / count;
+  return Array.from({ length: count }, (_, i) => ({ start: min + i * width, end: min + (i + 1) * width }));
+}
+
+// Column index (in reading order) whose range holds the element's center
+function assignColumn(box, columns, direction, writingMode) {
+  if (!columns) return 0;
+
+  const vertical = writingMode !== 'horizontal-tb';
+  const center = vertical ? box.y + box.height / 2 : box.x + box.width / 2;
+  const ordered = columns
+    .map((column, index) => ({ ...column, index }))
+    .sort((a, b) => (!vertical && direction === 'rtl' ? b.start - a.start : a.start - b.start));
+
+  let position = ordered.findIndex(column => center >= column.start && center < column.end);
+  if (position === -1) {
+    // Outside every column: use the nearest one
+    const distances = ordered.map(column => Math.min(Math.abs(center - column.start), Math.abs(center - column.end)));
+    position = distances.indexOf(Math.min(...distances));
+  }
+  return position;
+}
+
+// Expected reading order: columns in order, then lines along the block axis, then
+// elements along the inline axis. An element joins a line when its block-axis center
+// falls inside the line's extent.
+function computeReadingOrder(boxes, options = {}) {
+  const direction = options.direction || 'ltr';
+  const writingMode = options.writingMode || 'horizontal-tb';
+  const columns = options.columns ? resolveColumns(options.columns, boxes, writingMode) : null;
+
+  const items = boxes.map((box, index) => ({
+    index,
+    column: assignColumn(box, columns, direction, writingMode),
+    ...toLogical(box, direction, writingMode)
+  }));
+
+  const order = [];
+  const columnCount = columns ? columns.length : 1;
+
+  for (let column = 0; column < columnCount; column++) {
+    const lines = [];
+    items
+      .filter(item => item.column === column)
+      .sort((a, b) => a.blockStart - b.blockStart || a.inlineStart - b.inlineStart)
+      .forEach(item => {
+        const center = item.blockStart + item.blockSize / 2;
+        const line = lines.find(l => center >= l.start && center <= l.end);
+        if (line) {
+          line.items.push(item);
+          line.end = Math.max(line.end, item.blockStart + item.blockSize);
+        } else {
+          lines.push({ start: item.blockStart, end: item.blockStart + item.blockSize, items: [item] });
+        }
+      });
+
+    lines.forEach((line, lineIndex) => {
+      line.items
+        .sort((a, b) => a.inlineStart - b.inlineStart)
+        .forEach(item => order.push({ index: item.index, column, line: lineIndex }));
+    });
+  }
+
+  return order;
+}
+
+// Kendall rank correlation between two rankings of the same items (1 = identical, -1 = reversed)
+function kendallTau(rankA, rankB) {
+  const n = rankA.length;
+  if (n < 2) return 1;
+
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const sign = Math.sign(rankA[i] - rankA[j]) * Math.sign(rankB[i] - rankB[j]);
+      if (sign > 0) concordant++;
+      if (sign < 0) discordant++;
+    }
+  }
+  return (concordant - discordant) / ((n * (n - 1)) / 2);
+}
+
+// Compare the tab order (tabOrder[i] = position of elements[i]) with the visual order
+function analyzeVisualOrder(elements, tabOrder, boxes, options = {}) {
+  const reading = computeReadingOrder(boxes, options);
+  const visualPosition = new Array(elements.length);
+  const placement = new Array(elements.length);
+  reading.forEach((entry, position) => {
+    visualPosition[entry.index] = position + 1;
+    placement[entry.index] = entry;
+  });
+
+  const sequence = elements.map((_, i) => i).sort((a, b) => tabOrder[a] - tabOrder[b]);
+  const backwardJumps = [];
+  const crossColumnJumps = [];
+
+  for (let step = 1; step < sequence.length; step++) {
+    const from = sequence[step - 1];
+    const to = sequence[step];
+    const fromPlace = placement[from];
+    const toPlace = placement[to];
+
+    if (fromPlace.column !== toPlace.column) {
+      // Leaving a column before its remaining elements, or going back to an earlier column
+      const unfinished = sequence.slice(step).filter(i => placement[i].column === fromPlace.column);
+      if (toPlace.column < fromPlace.column || toPlace.column > fromPlace.column + 1 || unfinished.length > 0) {
+        crossColumnJumps.push({
+          from: elements[from],
+          to: elements[to],
+          fromColumn: fromPlace.column + 1,
+          toColumn: toPlace.column + 1,
+          unfinished: unfinished.map(i => elements[i])
+        });
+      }
+    } else if (visualPosition[to] < visualPosition[from]) {
+      backwardJumps.push({
+        from: elements[from],
+        to: elements[to],
+        lines: toPlace.line === fromPlace.line ? 'same line' : `line ${fromPlace.line + 1} to line ${toPlace.line + 1}`
+      });
+    }
+  }
+
+  const tau = kendallTau(tabOrder, visualPosition);
+  const issues = [];
+  const recommendations = [];
+
+  backwardJumps.forEach(jump => {
+    issues.push(`Focus moves backwards in reading order from "${jump.from}" to "${jump.to}" (${jump.lines})`);
+  });
+  crossColumnJumps.forEach(jump => {
+    const detail = jump.unfinished.length > 0 ? `, leaving ${jump.unfinished.length} element(s) of column ${jump.fromColumn} for later` : '';
+    issues.push(`Focus jumps from column ${jump.fromColumn} ("${jump.from}") to column ${jump.toColumn} ("${jump.to}")${detail}`);
+  });
+  if (issues.length > 0) {
+    recommendations.push('Match the DOM order to the visual layout instead of reordering with CSS (order, flex-direction, grid placement) or positive tabindex');
+  }
+
+  return {
+    visualOrder: elements.map((_, i) => visualPosition[i]),
+    readingSequence: reading.map(entry => ({ element: elements[entry.index], column: entry.column + 1, line: entry.line + 1 })),
+    backwardJumps,
+    crossColumnJumps,
+    kendallTau: Math.round(tau * 1000) / 1000,
+    divergence: Math.round(((1 - tau) / 2) * 1000) / 1000,
+    matches: backwardJumps.length === 0 && crossColumnJumps.length === 0,
+    issues,
+    recommendations
+  };
+}
+
+// Bounding box of an element description, or null when it has no complete geometry
+function getBox(element) {
+  if (!element || typeof element !== 'object') return null;
+  const box = element.box || element.rect || element;
+  const values = ['x', 'y', 'width', 'height'].map(key => Number(box[key]));
+  return values.some(isNaN) ? null : { x: values[0], y: values[1], width: values[2], height: values[3] };
+}
+
+module.exports = {
+  computeReadingOrder,
+  analyzeVisualOrder,
+  kendallTau,
+  getBox,
+  DIRECTIONS,
+  WRITING_MODES
+};
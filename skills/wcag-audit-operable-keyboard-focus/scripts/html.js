@@ -0,0 +1,232 @@
+/**
+ * HTML Parser
+ * Small, forgiving HTML parser producing an element tree for offline audits
+ */
+
+const fs = require('fs');
+
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes'];
+
+// Elements whose start tag implicitly closes an open element of the listed names
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  option: ['option'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  p: ['p']
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function createElement(tagName, attributes, parent, line) {
+  return { type: 'element', tagName, attributes, children: [], parent, line };
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (name in attributes) continue;
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[name] = value === undefined ? '' : decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+// Parse markup (a full document or a fragment) into a root node with element and text children
+function parseHtml(source) {
+  const root = { type: 'root', tagName: '#root', attributes: {}, children: [], parent: null, line: 1 };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let line = 1;
+  let index = 0;
+
+  const advance = (to) => {
+    for (let i = index; i < to; i++) {
+      if (source[i] === '\n') line++;
+    }
+    index = to;
+  };
+
+  const addText = (text) => {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text), parent: current() });
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf('<', index);
+    if (open === -1) {
+      addText(source.slice(index));
+      break;
+    }
+
+    addText(source.slice(index, open));
+    advance(open);
+
+    if (source.startsWith('<!--', index)) {
+      const end = source.indexOf('-->', index + 4);
+      advance(end === -1 ? source.length : end + 3);
+      continue;
+    }
+
+    if (source[index + 1] === '!' || source[index + 1] === '?') {
+      const end = source.indexOf('>', index);
+      advance(end === -1 ? source.length : end + 1);
+      continue;
+    }
+
+    const endTag = source.slice(index).match(/^<\/([a-zA-Z][\w:-]*)[^>]*>/);
+    if (endTag) {
+      const name = endTag[1].toLowerCase();
+      const position = stack.map(node => node.tagName).lastIndexOf(name);
+      if (position > 0) stack.length = position;
+      advance(index + endTag[0].length);
+      continue;
+    }
+
+    const startTag = source.slice(index).match(/^<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/);
+    if (!startTag) {
+      addText('<');
+      advance(index + 1);
+      continue;
+    }
+
+    const name = startTag[1].toLowerCase();
+    const selfClosing = /\/\s*$/.test(startTag[2]);
+    const element = createElement(name, parseAttributes(startTag[2].replace(/\/\s*$/, '')), null, line);
+
+    // Close elements the new start tag implicitly ends (e.g. an open <li> before another <li>)
+    const closes = IMPLIED_END[name];
+    if (closes && closes.includes(current().tagName)) stack.pop();
+
+    element.parent = current();
+    current().children.push(element);
+    advance(index + startTag[0].length);
+
+    if (VOID_ELEMENTS.includes(name) || selfClosing) continue;
+
+    if (RAW_TEXT_ELEMENTS.includes(name)) {
+      const close = source.toLowerCase().indexOf(`</${name}`, index);
+      const end = close === -1 ? source.length : close;
+      if (end > index) element.children.push({ type: 'text', text: source.slice(index, end), parent: element });
+      advance(end);
+      const closeEnd = source.indexOf('>', end);
+      advance(closeEnd === -1 ? source.length : closeEnd + 1);
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return root;
+}
+
+// Read markup from a file path, or treat the value itself as markup
+function loadHtml(value) {
+  const source = String(value);
+  if (!source.includes('<') && fs.existsSync(source)) {
+    return fs.readFileSync(source, 'utf8');
+  }
+  return source;
+}
+
+// Depth-first, document-order traversal of elements
+function walk(node, visit) {
+  node.children.forEach(child => {
+    if (child.type !== 'element') return;
+    visit(child);
+    walk(child, visit);
+  });
+}
+
+function findAll(node, predicate) {
+  const matches = [];
+  walk(node, element => {
+    if (predicate(element)) matches.push(element);
+  });
+  return matches;
+}
+
+function getAttribute(element, name) {
+  return Object.prototype.hasOwnProperty.call(element.attributes, name) ? element.attributes[name] : null;
+}
+
+function hasAttribute(element, name) {
+  return getAttribute(element, name) !== null;
+}
+
+function getAncestors(element) {
+  const ancestors = [];
+  for (let node = element.parent; node && node.type === 'element'; node = node.parent) {
+    ancestors.push(node);
+  }
+  return ancestors;
+}
+
+function getTextContent(node) {
+  if (node.type === 'text') return node.text;
+  if (['script', 'style', 'template'].includes(node.tagName)) return '';
+  return node.children.map(getTextContent).join('');
+}
+
+// Inline style declarations as a property -> value map
+function getInlineStyle(element) {
+  const style = getAttribute(element, 'style') || '';
+  return style.split(';').reduce((declarations, declaration) => {
+    const colon = declaration.indexOf(':');
+    if (colon !== -1) {
+      declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).replace(/!important/i, '').trim().toLowerCase();
+    }
+    return declarations;
+  }, {});
+}
+
+// Short CSS-like identifier such as button#submit or a.nav-link
+function describeElement(element) {
+  const id = getAttribute(element, 'id');
+  if (id) return `${element.tagName}#${id}`;
+
+  const className = (getAttribute(element, 'class') || '').trim().split(/\s+/).filter(Boolean)[0];
+  if (className) return `${element.tagName}.${className}`;
+
+  const name = getAttribute(element, 'name');
+  if (name) return `${element.tagName}[name="${name}"]`;
+
+  const href = getAttribute(element, 'href');
+  if (href !== null) return `${element.tagName}[href="${href}"]`;
+
+  return element.tagName;
+}
+
+module.exports = {
+  parseHtml,
+  loadHtml,
+  walk,
+  findAll,
+  getAttribute,
+  hasAttribute,
+  getAncestors,
+  getTextContent,
+  getInlineStyle,
+  describeElement
+};
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+
+/**
+ * Focus Indicator Checker
+ * Evaluates Focus Visible (2.4.7) and Focus Appearance (2.4.13) from an element's
+ * unfocused and focused styles
+ */
+
+const fs = require('fs');
+const { parseColor, compositeColors, formatHex } = require('../../wcag-audit-perceivable-color-contrast/scripts/color');
+const { getContrastRatio } = require('../../wcag-audit-perceivable-color-contrast/scripts/calculate');
+const { toPixels } = require('../../wcag-audit-perceivable-text-size/scripts/convert');
+
+const CHANGE_OF_CONTRAST = 3; // 2.4.13: focused vs unfocused pixels
+// 2.4.7 sets no number; smaller color changes (#fff to #fefefe) are not noticeable
+const VISIBLE_CHANGE = 1.1;
+const PERIMETER_THICKNESS = 2; // 2.4.13: area of a 2 CSS px thick perimeter
+const MAX_PIXELS = 4000000;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+const BLACK = { r: 0, g: 0, b: 0, alpha: 1 };
+const LINE_WIDTHS = { thin: 1, medium: 3, thick: 5 };
+const LINE_STYLES = ['none', 'hidden', 'solid', 'dotted', 'dashed', 'double', 'groove', 'ridge', 'inset', 'outset', 'auto'];
+// outline-style: auto is drawn by the browser; a 2px ring in this color is assumed
+const AUTO_OUTLINE = { width: 2, color: { r: 16, g: 16, b: 16, alpha: 1 } };
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value && !value.startsWith('--')) {
+        options[key] = value;
+        i++; // Skip next arg as it's the value
+      } else {
+        options[key] = true;
+      }
+    }
+  }
+
+  return options;
+}
+
+// Split on commas or whitespace outside color function arguments, e.g. rgb(0, 0, 0)
+function splitValue(value, separator) {
+  const pattern = separator === ',' ? /,(?![^(]*\))/ : /\s+(?![^(]*\))/;
+  return String(value).split(pattern).map(part => part.trim()).filter(Boolean);
+}
+
+// CSS length in px (px, pt, em, rem; unitless 0), or a border-width keyword
+function parseLength(token) {
+  if (token in LINE_WIDTHS) return LINE_WIDTHS[token];
+  const match = String(token).match(/^([+-]?(?:\d+\.?\d*|\.\d+))(px|pt|em|rem)?$/i);
+  if (!match || (!match[2] && parseFloat(match[1]) !== 0)) return null;
+  return toPixels(parseFloat(match[1]), (match[2] || 'px').toLowerCase());
+}
+
+function requireColor(value, property) {
+  const color = parseColor(value);
+  if (!color) throw new Error(`Invalid color "${value}" in ${property}`);
+  return color;
+}
+
+// Declarations as a property -> value map, from "prop: value; ..." or an object
+// with camelCase or kebab-case keys
+function parseDeclarations(style) {
+  if (!style) return {};
+  if (typeof style === 'object') {
+    return Object.entries(style).reduce((declarations, [key, value]) => {
+      declarations[key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)] = String(value).trim().toLowerCase();
+      return declarations;
+    }, {});
+  }
+  return String(style).split(';').reduce((declarations, declaration) => {
+    const colon = declaration.indexOf(':');
+    if (colon !== -1) {
+      declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).replace(/!important/i, '').trim().toLowerCase();
+    }
+    return declarations;
+  }, {});
+}
+
+// Layer a state's declarations over another's, as the cascade applies a :focus rule: a
+// shorthand replaces the longhands it sets before it
+function mergeDeclarations(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([property, value]) => {
+    Object.keys(merged).forEach(key => {
+      if (key.startsWith(`${property}-`)) delete merged[key];
+    });
+    merged[property] = value;
+  });
+  return merged;
+}
+
+// Outline or border shorthand plus longhands: { width, style, color }
+function parseLine(declarations, property, currentColor) {
+  const line = { width: LINE_WIDTHS.medium, style: 'none', color: currentColor };
+  let explicitWidth = false;
+  let explicitColor = false;
+
+  if (declarations[property] !== undefined) {
+    splitValue(declarations[property], ' ').forEach(token => {
+      if (LINE_STYLES.includes(token)) {
+        line.style = token;
+      } else if (parseLength(token) !== null) {
+        line.width = parseLength(token);
+        explicitWidth = true;
+      } else {
+        line.color = token === 'currentcolor' ? currentColor : requireColor(token, property);
+        explicitColor = true;
+      }
+    });
+  }
+
+  if (declarations[`${property}-style`] !== undefined) line.style = declarations[`${property}-style`];
+  if (declarations[`${property}-width`] !== undefined) {
+    line.width = parseLength(declarations[`${property}-width`]);
+    explicitWidth = true;
+    if (line.width === null) throw new Error(`Invalid ${property}-width "${declarations[`${property}-width`]}"`);
+  }
+  if (declarations[`${property}-color`] !== undefined) {
+    const value = declarations[`${property}-color`];
+    line.color = value === 'currentcolor' ? currentColor : requireColor(value, `${property}-color`);
+    explicitColor = true;
+  }
+
+  if (line.style === 'auto') {
+    if (!explicitWidth) line.width = AUTO_OUTLINE.width;
+    if (!explicitColor) line.color = AUTO_OUTLINE.color;
+  }
+  if (line.style === 'none' || line.style === 'hidden') line.width = 0;
+  return line;
+}
+
+// box-shadow list: [{ inset, x, y, blur, spread, color }]
+function parseShadows(value, currentColor) {
+  if (!value || value === 'none') return [];
+  return splitValue(value, ',').map(shadow => {
+    const parsed = { inset: false, lengths: [], color: currentColor };
+    splitValue(shadow, ' ').forEach(token => {
+      if (token === 'inset') parsed.inset = true;
+      else if (parseLength(token) !== null) parsed.lengths.push(parseLength(token));
+      else parsed.color = requireColor(token, 'box-shadow');
+    });
+    if (parsed.lengths.length < 2) throw new Error(`Invalid box-shadow "${shadow}"`);
+    const [x, y, blur = 0, spread = 0] = parsed.lengths;
+    return { inset: parsed.inset, x, y, blur, spread, color: parsed.color };
+  });
+}
+
+// Normalize one state's styles to the layers that paint around and inside the border box
+function normalizeStyle(style) {
+  const declarations = parseDeclarations(style);
+  const currentColor = declarations.color ? requireColor(declarations.color, 'color') : BLACK;
+  const outline = parseLine(declarations, 'outline', currentColor);
+
+  const offset = declarations['outline-offset'] !== undefined ? parseLength(declarations['outline-offset']) : 0;
+  if (offset === null) throw new Error(`Invalid outline-offset "${declarations['outline-offset']}"`);
+
+  const backgroundValue = declarations['background-color'] || declarations.background;
+  const background = backgroundValue && backgroundValue !== 'none' ? requireColor(backgroundValue, 'background') : null;
+
+  return {
+    outline: { ...outline, offset },
+    border: parseLine(declarations, 'border', currentColor),
+    shadows: parseShadows(declarations['box-shadow'], currentColor),
+    background,
+    outlineRemoved: declarations.outline === 'none' || declarations.outline === '0' ||
+      declarations['outline-style'] === 'none' || parseLength(declarations['outline-width'] || 'medium') === 0
+  };
+}
+
+// Dotted and dashed lines cover about half their band
+function paintsLine(style, x, y, depth, width) {
+  if (style === 'dotted' || style === 'dashed') return (x + y) % 2 === 0;
+  if (style === 'double') return depth < width / 3 || depth >= width - width / 3;
+  return true;
+}
+
+// Paint a state as a raster over the box [0, width) x [0, height) plus `margin` px on
+// every side: page background, outer shadows, element background, inset shadows,
+// border, outline. Rectangular boxes only (border-radius is ignored).
+function paintState(style, size, pageBackground, margin) {
+  const { width, height } = size;
+  const columns = width + 2 * margin;
+  const rows = height + 2 * margin;
+  const pixels = new Array(columns * rows);
+
+  // Distance (in whole pixels) a pixel lies inside a rect grown by `grow`, or -1 when outside
+  const depthIn = (x, y, grow, dx = 0, dy = 0) => {
+    const left = x - dx + grow;
+    const top = y - dy + grow;
+    const right = width + grow - 1 - (x - dx);
+    const bottom = height + grow - 1 - (y - dy);
+    const depth = Math.min(left, top, right, bottom);
+    return depth >= 0 ? depth : -1;
+  };
+
+  const borderWidth = Math.round(style.border.width);
+  const outlineWidth = Math.round(style.outline.width);
+  const outlineOffset = Math.round(style.outline.offset);
+  // A blurred shadow is approximated by a solid one reaching the middle of the blur
+  const shadowReach = (shadow) => Math.round(shadow.spread + shadow.blur / 2);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = column - margin;
+      const y = row - margin;
+      const inBox = depthIn(x, y, 0) >= 0;
+      let color = pageBackground;
+
+      [...style.shadows].reverse().filter(shadow => !shadow.inset).forEach(shadow => {
+        if (!inBox && depthIn(x, y, shadowReach(shadow), Math.round(shadow.x), Math.round(shadow.y)) >= 0) {
+          color = compositeColors(shadow.color, color);
+        }
+      });
+
+      if (inBox && style.background) color = compositeColors(style.background, color);
+
+      if (depthIn(x, y, -borderWidth) >= 0) {
+        [...style.shadows].reverse().filter(shadow => shadow.inset).forEach(shadow => {
+          if (depthIn(x, y, -borderWidth - shadowReach(shadow), Math.round(shadow.x), Math.round(shadow.y)) < 0) {
+            color = compositeColors(shadow.color, color);
+          }
+        });
+      }
+
+      const borderDepth = depthIn(x, y, 0);
+      if (borderWidth > 0 && borderDepth >= 0 && borderDepth < borderWidth && paintsLine(style.border.style, x, y, borderDepth, borderWidth)) {
+        color = compositeColors(style.border.color, color);
+      }
+
+      const outlineDepth = depthIn(x, y, outlineOffset + outlineWidth);
+      if (outlineWidth > 0 && outlineDepth >= 0 && outlineDepth < outlineWidth && paintsLine(style.outline.style, x, y, outlineDepth, outlineWidth)) {
+        color = compositeColors(style.outline.color, color);
+      }
+
+      pixels[row * columns + column] = compositeColors(color, WHITE);
+    }
+  }
+
+  return pixels;
+}
+
+// How far any layer of a state reaches outside the border box
+function getReach(style) {
+  const outline = style.outline.width > 0 ? style.outline.offset + style.outline.width : 0;
+  const shadows = style.shadows.filter(s => !s.inset).map(s => s.spread + s.blur / 2 + Math.max(Math.abs(s.x), Math.abs(s.y)));
+  return Math.max(0, Math.ceil(Math.max(outline, ...shadows)));
+}
+
+// Compare the painted states pixel by pixel. The changed area is every pixel whose focused
+// color has at least 1.1:1 contrast with its unfocused color, the indicator area every
+// pixel with at least 3:1.
+function checkFocusIndicator(input) {
+  const width = Math.round(Number(input.width));
+  const height = Math.round(Number(input.height));
+  if (!(width > 0) || !(height > 0)) throw new Error('Element width and height must be positive numbers');
+
+  const pageBackground = compositeColors(input.background ? requireColor(input.background, 'background') : WHITE, WHITE);
+  // The focused declarations apply on top of the unfocused ones, like a :focus rule
+  const unfocusedDeclarations = parseDeclarations(input.unfocused);
+  const unfocused = normalizeStyle(unfocusedDeclarations);
+  const focused = normalizeStyle(mergeDeclarations(unfocusedDeclarations, parseDeclarations(input.focused)));
+  const margin = Math.max(getReach(unfocused), getReach(focused)) + 1;
+  if ((width + 2 * margin) * (height + 2 * margin) > MAX_PIXELS) {
+    throw new Error(`Element too large to rasterize (limit ${MAX_PIXELS} pixels)`);
+  }
+
+  const before = paintState(unfocused, { width, height }, pageBackground, margin);
+  const after = paintState(focused, { width, height }, pageBackground, margin);
+
+  let changedArea = 0;
+  let indicatorArea = 0;
+  let maxChange = 1;
+  const colors = new Map();
+  before.forEach((color, i) => {
+    const from = formatHex(color);
+    const to = formatHex(after[i]);
+    if (from === to) return;
+
+    const ratio = getContrastRatio(color, after[i]);
+    maxChange = Math.max(maxChange, ratio);
+    if (ratio >= VISIBLE_CHANGE) changedArea++;
+    if (ratio >= CHANGE_OF_CONTRAST) {
+      indicatorArea++;
+      const key = `${from} → ${to}`;
+      colors.set(key, (colors.get(key) || 0) + 1);
+    }
+  });
+
+  // 2.4.13 minimum: a 2px thick perimeter of the unfocused component, 4w + 4h for a rectangle
+  const minimumArea = PERIMETER_THICKNESS * 2 * (width + height);
+  const focusVisible = changedArea > 0;
+  const focusAppearance = indicatorArea >= minimumArea;
+  const issues = [];
+  const recommendations = [];
+
+  if (!focusVisible) {
+    if (focused.outlineRemoved) {
+      issues.push('outline: none removes the focus indicator and nothing replaces it (2.4.7 Focus Visible)');
+      recommendations.push('Keep an outline on :focus-visible, or replace it with a border, box-shadow or background change');
+    } else if (maxChange > 1) {
+      issues.push(`Focused state changes too little to notice: strongest change ${Math.round(maxChange * 100) / 100}:1, at least ${VISIBLE_CHANGE}:1 needed (2.4.7 Focus Visible)`);
+      recommendations.push('Add a visible focus style such as outline: 2px solid with outline-offset: 2px');
+    } else {
+      issues.push('Focused and unfocused states look identical (2.4.7 Focus Visible)');
+      recommendations.push('Add a visible focus style such as outline: 2px solid with outline-offset: 2px');
+    }
+  } else if (!focusAppearance) {
+    const reason = indicatorArea === 0
+      ? `no pixel changes by ${CHANGE_OF_CONTRAST}:1 (strongest change ${Math.round(maxChange * 100) / 100}:1)`
+      : `${indicatorArea}px² changes by ${CHANGE_OF_CONTRAST}:1, ${minimumArea}px² needed`;
+    issues.push(`Focus indicator is too small or too subtle for 2.4.13 Focus Appearance: ${reason}`);
+    recommendations.push(`Use an indicator at least ${PERIMETER_THICKNESS}px thick around the component, in a color with ${CHANGE_OF_CONTRAST}:1 contrast against what it covers`);
+  }
+
+  return {
+    element: input.element || input.id || null,
+    width,
+    height,
+    changedArea,
+    indicatorArea,
+    minimumArea,
+    strongestChange: Math.round(maxChange * 100) / 100,
+    colorChanges: [...colors.entries()].sort((a, b) => b[1] - a[1]).map(([change, area]) => ({ change, area })),
+    focusVisible,
+    focusAppearance,
+    outlineRemoved: focused.outlineRemoved && !focusVisible,
+    issues,
+    recommendations
+  };
+}
+
+// Read elements from a file path or JSON string: one element, an array, or { elements }
+function loadInput(value) {
+  const source = String(value);
+  const data = JSON.parse(fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source);
+  if (Array.isArray(data)) return data;
+  return data.elements || [data];
+}
+
+function main() {
+  const options = parseArgs();
+  let elements;
+
+  try {
+    elements = options.input
+      ? loadInput(options.input)
+      : [{
+        element: options.element,
+        width: options.width,
+        height: options.height,
+        background: options.background || options.bg,
+        unfocused: options.unfocused,
+        focused: options.focused
+      }];
+  } catch (e) {
+    console.error(`Could not read input: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (!options.input && (options.width === undefined || options.height === undefined || options.focused === undefined)) {
+    console.error('Usage: node indicator.js --width 120 --height 40 --unfocused "border: 1px solid #767676" --focused "outline: 2px solid #1a73e8; outline-offset: 2px" [--background "#fff"]');
+    console.error('Or: node indicator.js --input indicators.json (file or JSON: an element, an array, or { "elements": [...] })');
+    process.exit(1);
+  }
+
+  let results;
+  try {
+    results = elements.map(checkFocusIndicator);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  // Output JSON if requested
+  if (options.json) {
+    console.log(JSON.stringify(results.length === 1 && !options.input ? results[0] : results, null, 2));
+    return;
+  }
+
+  results.forEach((result, index) => {
+    if (index > 0) console.log('');
+    console.log(`Focus indicator${result.element ? ` for ${result.element}` : ''} (${result.width}×${result.height}px):`);
+    console.log(`  Changed area: ${result.changedArea}px², with ${CHANGE_OF_CONTRAST}:1 change of contrast: ${result.indicatorArea}px² (minimum ${result.minimumArea}px²)`);
+    result.colorChanges.slice(0, 3).forEach(entry => console.log(`  ${entry.change}: ${entry.area}px²`));
+    console.log(result.focusVisible ? '✅ 2.4.7 Focus Visible (AA): PASS' : '❌ 2.4.7 Focus Visible (AA): FAIL');
+    console.log(result.focusAppearance ? '✅ 2.4.13 Focus Appearance (AAA): PASS' : '❌ 2.4.13 Focus Appearance (AAA): FAIL');
+
+    if (result.issues.length > 0) {
+      console.log('Issues found:');
+      result.issues.forEach(issue => console.log(`- ${issue}`));
+    }
+    if (result.recommendations.length > 0) {
+      console.log('Recommendations:');
+      result.recommendations.forEach(rec => console.log(`- ${rec}`));
+    }
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  mergeDeclarations,
+  checkFocusIndicator,
+  normalizeStyle,
+  paintState,
+  CHANGE_OF_CONTRAST
+};
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Focus Not Obscured Checker
+ * Finds focused elements hidden by sticky or fixed layers (WCAG 2.4.11 Minimum, 2.4.12 Enhanced)
+ */
+
+const fs = require('fs');
+const { getBox } = require('./geometry');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value && !value.startsWith('--')) {
+        options[key] = value;
+        i++; // Skip next arg as it's the value
+      } else {
+        options[key] = true;
+      }
+    }
+  }
+
+  return options;
+}
+
+function readJson(value) {
+  if (typeof value === 'object') return value;
+  const source = String(value);
+  return JSON.parse(fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source);
+}
+
+// "1280x720" or { width, height }
+function parseViewport(value) {
+  if (!value) return null;
+  const parts = typeof value === 'object' ? [value.width, value.height] : String(value).split(/[x×,]/i).map(v => parseFloat(v));
+  if (parts.length !== 2 || parts.some(v => !(Number(v) > 0))) return null;
+  return { x: 0, y: 0, width: Number(parts[0]), height: Number(parts[1]) };
+}
+
+function intersect(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+// Area covered by the union of rectangles, by coordinate compression
+function unionArea(rects) {
+  if (rects.length === 0) return 0;
+  const xs = [...new Set(rects.flatMap(r => [r.x, r.x + r.width]))].sort((a, b) => a - b);
+  const ys = [...new Set(rects.flatMap(r => [r.y, r.y + r.height]))].sort((a, b) => a - b);
+  let area = 0;
+
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = 0; j < ys.length - 1; j++) {
+      const cx = (xs[i] + xs[i + 1]) / 2;
+      const cy = (ys[j] + ys[j + 1]) / 2;
+      if (rects.some(r => cx > r.x && cx < r.x + r.width && cy > r.y && cy < r.y + r.height)) {
+        area += (xs[i + 1] - xs[i]) * (ys[j + 1] - ys[j]);
+      }
+    }
+  }
+  return area;
+}
+
+function describeLayer(layer, index) {
+  return layer.id || layer.name || `layer ${index + 1}`;
+}
+
+// An element inside a layer (given by its `layer` property or an identifier that
+// starts with the layer's id) is painted with it, not covered by it
+function belongsTo(element, layer) {
+  if (element.layer) return element.layer === layer.id;
+  return Boolean(layer.id) && typeof element.id === 'string' && element.id.startsWith(`${layer.id} `);
+}
+
+// Scroll padding that would keep focused elements clear of a layer docked to an edge
+function getScrollPadding(layer, viewport) {
+  const box = layer.box;
+  const spansWidth = box.x <= viewport.x && box.x + box.width >= viewport.x + viewport.width;
+  if (!spansWidth) return null;
+  if (box.y <= viewport.y) return { property: 'scroll-padding-top', value: Math.ceil(box.y + box.height - viewport.y) };
+  if (box.y + box.height >= viewport.y + viewport.height) return { property: 'scroll-padding-bottom', value: Math.ceil(viewport.y + viewport.height - box.y) };
+  return null;
+}
+
+// Compare each focusable element (at its scrolled-into-view position) with the layers
+// painted above the page
+function checkFocusNotObscured(viewport, layers, elements) {
+  const resolvedLayers = layers.map((layer, index) => ({
+    id: describeLayer(layer, index),
+    position: layer.position || 'fixed',
+    box: getBox(layer)
+  }));
+  if (resolvedLayers.some(layer => !layer.box)) throw new Error('Every layer needs x, y, width and height');
+
+  const results = elements.map((element, index) => {
+    const id = typeof element === 'string' ? element : element.id || element.name || `element ${index + 1}`;
+    const box = getBox(element);
+    if (!box) throw new Error(`Element "${id}" needs x, y, width and height`);
+
+    // Layers are listed bottom to top: an element inside a layer is only covered by later ones
+    const own = layers.findIndex(layer => belongsTo({ ...element, id }, layer));
+    const visible = intersect(box, viewport);
+    const visibleArea = visible ? visible.width * visible.height : 0;
+    const covering = resolvedLayers
+      .filter((layer, i) => i > own)
+      .map(layer => ({ layer, overlap: visible ? intersect(visible, layer.box) : null }))
+      .filter(entry => entry.overlap);
+
+    const coveredArea = unionArea(covering.map(entry => entry.overlap));
+    const hiddenShare = visibleArea > 0 ? coveredArea / visibleArea : 0;
+    const status = visibleArea === 0 ? 'outside-viewport'
+      : coveredArea >= visibleArea - 1e-6 ? 'fully-hidden'
+        : coveredArea > 0 ? 'partly-hidden' : 'visible';
+
+    return {
+      element: id,
+      box,
+      status,
+      hiddenPercent: Math.round(hiddenShare * 1000) / 10,
+      coveredBy: covering.map(entry => ({
+        layer: entry.layer.id,
+        position: entry.layer.position,
+        area: Math.round(entry.overlap.width * entry.overlap.height)
+      }))
+    };
+  });
+
+  const fullyHidden = results.filter(result => result.status === 'fully-hidden');
+  const partlyHidden = results.filter(result => result.status === 'partly-hidden');
+  const outside = results.filter(result => result.status === 'outside-viewport');
+  const issues = [];
+  const recommendations = [];
+
+  fullyHidden.forEach(result => {
+    issues.push(`Focused "${result.element}" is fully hidden by ${result.coveredBy.map(c => c.layer).join(', ')} (2.4.11 Focus Not Obscured (Minimum), AA)`);
+  });
+  partlyHidden.forEach(result => {
+    issues.push(`Focused "${result.element}" is ${result.hiddenPercent}% hidden by ${result.coveredBy.map(c => c.layer).join(', ')} (2.4.12 Focus Not Obscured (Enhanced), AAA)`);
+  });
+  outside.forEach(result => {
+    recommendations.push(`"${result.element}" lies outside the ${viewport.width}×${viewport.height} viewport; give its position after it is scrolled into view`);
+  });
+
+  // One recommendation per offending layer
+  const offending = [...new Set([...fullyHidden, ...partlyHidden].flatMap(result => result.coveredBy.map(c => c.layer)))];
+  offending.forEach(id => {
+    const layer = resolvedLayers.find(l => l.id === id);
+    const padding = getScrollPadding(layer, viewport);
+    recommendations.push(padding
+      ? `Set ${padding.property}: ${padding.value}px on the scroll container so focused elements scroll clear of ${id}`
+      : `Keep ${id} from covering focused elements: move it out of the content area, or let users dismiss or collapse it`);
+  });
+
+  return {
+    viewport: { width: viewport.width, height: viewport.height },
+    elements: results,
+    focusNotObscuredMinimum: fullyHidden.length === 0,
+    focusNotObscuredEnhanced: fullyHidden.length === 0 && partlyHidden.length === 0,
+    issues,
+    recommendations
+  };
+}
+
+function main() {
+  const options = parseArgs();
+  let viewport = null;
+  let layers = [];
+  let elements = [];
+
+  try {
+    if (options.input) {
+      const input = readJson(options.input);
+      viewport = parseViewport(input.viewport);
+      layers = input.layers || [];
+      elements = input.elements || [];
+    }
+    if (options.viewport) viewport = parseViewport(options.viewport);
+    if (options.layers) layers = readJson(options.layers);
+    if (options.elements) elements = readJson(options.elements);
+  } catch (e) {
+    console.error(`Could not read input: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (!viewport || elements.length === 0) {
+    console.error('Usage: node obscured.js --input obscured.json (file or JSON with viewport, layers and elements)');
+    console.error('Or: node obscured.js --viewport 1280x720 --layers \'[{"id": "header.sticky", "x": 0, "y": 0, "width": 1280, "height": 80}]\' --elements \'[{"id": "a#help", "x": 20, "y": 40, "width": 80, "height": 24}]\'');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = checkFocusNotObscured(viewport, layers, elements);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  // Output JSON if requested
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`Checking ${result.elements.length} focused element(s) against ${layers.length} layer(s) in a ${viewport.width}×${viewport.height} viewport:`);
+  result.elements.forEach(entry => {
+    const layersText = entry.coveredBy.length > 0 ? ` by ${entry.coveredBy.map(c => c.layer).join(', ')}` : '';
+    const labels = {
+      visible: 'visible',
+      'partly-hidden': `${entry.hiddenPercent}% hidden${layersText}`,
+      'fully-hidden': `fully hidden${layersText}`,
+      'outside-viewport': 'outside the viewport'
+    };
+    console.log(`  ${entry.element}: ${labels[entry.status]}`);
+  });
+  console.log('');
+
+  console.log(result.focusNotObscuredMinimum ? '✅ 2.4.11 Focus Not Obscured (Minimum, AA): PASS' : '❌ 2.4.11 Focus Not Obscured (Minimum, AA): FAIL');
+  console.log(result.focusNotObscuredEnhanced ? '✅ 2.4.12 Focus Not Obscured (Enhanced, AAA): PASS' : '❌ 2.4.12 Focus Not Obscured (Enhanced, AAA): FAIL');
+
+  if (result.issues.length > 0) {
+    console.log('');
+    console.log('Issues found:');
+    result.issues.forEach(issue => console.log(`- ${issue}`));
+  }
+
+  if (result.recommendations.length > 0) {
+    console.log('');
+    console.log('Recommendations:');
+    result.recommendations.forEach(rec => console.log(`- ${rec}`));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  checkFocusNotObscured,
+  unionArea,
+  parseViewport
+};
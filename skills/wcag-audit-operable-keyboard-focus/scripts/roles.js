@@ -0,0 +1,205 @@
+/**
+ * ARIA Roles
+ * Resolves implicit and explicit ARIA roles for elements and the landmarks they belong to
+ */
+
+const { walk, getAttribute, getAncestors, getTextContent } = require('./html');
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'search', 'form', 'region', 'dialog'];
+
+// Landmark roles mapped to the categories the order rules work with
+const LANDMARK_TYPES = {
+  banner: 'header',
+  navigation: 'nav',
+  main: 'main',
+  contentinfo: 'footer',
+  complementary: 'complementary',
+  search: 'search',
+  form: 'form',
+  region: 'region',
+  dialog: 'dialog'
+};
+
+const WIDGET_TYPES = {
+  button: 'button',
+  link: 'link',
+  textbox: 'input',
+  searchbox: 'input',
+  combobox: 'input',
+  checkbox: 'input',
+  radio: 'input',
+  slider: 'input',
+  spinbutton: 'input',
+  switch: 'input',
+  listbox: 'input'
+};
+
+// Sectioning content that turns header/footer into generic elements
+const SECTIONING = ['article', 'aside', 'main', 'nav', 'section'];
+
+const INPUT_ROLES = {
+  button: 'button', submit: 'button', reset: 'button', image: 'button',
+  checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+  search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox', url: 'textbox', password: 'textbox'
+};
+
+// Parse a selector-like identifier ("nav#primary a.link", "[role=navigation] button")
+// into compounds: { tagName, id, classes, attributes }
+function parseSelector(identifier) {
+  const compounds = [];
+  const pattern = /\s*((?:[a-zA-Z][\w-]*|\*)?)((?:#[\w-]+|\.[\w-]+|\[[^\]]*\])*)/g;
+  let match;
+
+  while ((match = pattern.exec(String(identifier))) !== null) {
+    if (match[0].trim() === '') {
+      if (pattern.lastIndex >= String(identifier).length) break;
+      pattern.lastIndex++;
+      continue;
+    }
+
+    const compound = { tagName: match[1] ? match[1].toLowerCase() : null, id: null, classes: [], attributes: {} };
+    (match[2].match(/#[\w-]+|\.[\w-]+|\[[^\]]*\]/g) || []).forEach(part => {
+      if (part[0] === '#') compound.id = part.slice(1);
+      else if (part[0] === '.') compound.classes.push(part.slice(1));
+      else {
+        const attribute = part.slice(1, -1).match(/^\s*([\w-]+)\s*(?:=\s*["']?([^"']*)["']?)?\s*$/);
+        if (attribute) compound.attributes[attribute[1].toLowerCase()] = attribute[2] === undefined ? '' : attribute[2];
+      }
+    });
+    compounds.push(compound);
+  }
+
+  return compounds;
+}
+
+// Accessible name sources that matter for telling landmarks apart
+function getLabel(attributes, root) {
+  if (attributes['aria-label'] && attributes['aria-label'].trim()) return attributes['aria-label'].trim();
+
+  if (attributes['aria-labelledby'] && root) {
+    const ids = attributes['aria-labelledby'].split(/\s+/);
+    const text = [];
+    walk(root, element => {
+      if (ids.includes(getAttribute(element, 'id'))) text.push(getTextContent(element).trim());
+    });
+    if (text.join(' ').trim()) return text.join(' ').trim();
+  } else if (attributes['aria-labelledby']) {
+    return `#${attributes['aria-labelledby']}`;
+  }
+
+  if (attributes.title && attributes.title.trim()) return attributes.title.trim();
+  return null;
+}
+
+// Role from the explicit role attribute (first token) or the element's implicit role.
+// `ancestorTags` (nearest first) decide whether header/footer are landmarks.
+function getRole(tagName, attributes = {}, ancestorTags = [], label = null) {
+  const explicit = (attributes.role || '').trim().split(/\s+/)[0];
+  if (explicit) return explicit.toLowerCase();
+
+  const scoped = ancestorTags.some(tag => SECTIONING.includes(tag));
+  switch (tagName) {
+    case 'header': return scoped ? 'generic' : 'banner';
+    case 'footer': return scoped ? 'generic' : 'contentinfo';
+    case 'nav': return 'navigation';
+    case 'main': return 'main';
+    case 'aside': return 'complementary';
+    case 'search': return 'search';
+    case 'dialog': return 'dialog';
+    // form and section are landmarks only when they have an accessible name
+    case 'form': return label ? 'form' : null;
+    case 'section': return label ? 'region' : null;
+    case 'a':
+    case 'area': return 'href' in attributes ? 'link' : null;
+    case 'button': return 'button';
+    case 'select': return 'multiple' in attributes || Number(attributes.size) > 1 ? 'listbox' : 'combobox';
+    case 'textarea': return 'textbox';
+    case 'input': return INPUT_ROLES[(attributes.type || 'text').toLowerCase()] || null;
+    case 'summary': return 'button';
+    case 'option': return 'option';
+    case 'optgroup':
+    case 'fieldset': return 'group';
+    case 'ul':
+    case 'ol':
+    case 'menu': return 'list';
+    case 'li': return 'listitem';
+    case 'table': return 'table';
+    case 'tr': return 'row';
+    case 'td': return 'cell';
+    case 'th': return 'columnheader';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': return 'heading';
+    default: return null;
+  }
+}
+
+function isLandmarkRole(role) {
+  return LANDMARK_ROLES.includes(role);
+}
+
+// Classify a selector-like identifier: the role of its last compound and the landmarks
+// in its chain, outermost first (the element itself may be one)
+function classifyElement(identifier) {
+  const compounds = parseSelector(identifier);
+  const landmarks = [];
+  let role = null;
+
+  compounds.forEach((compound, index) => {
+    const ancestorTags = compounds.slice(0, index).map(c => c.tagName).filter(Boolean).reverse();
+    const label = getLabel(compound.attributes);
+    const compoundRole = getRole(compound.tagName, compound.attributes, ancestorTags, label);
+
+    if (isLandmarkRole(compoundRole)) {
+      // The chain up to this compound identifies the landmark instance
+      const key = compounds.slice(0, index + 1).map(describeCompound).join(' ');
+      landmarks.push({ role: compoundRole, key, label });
+    }
+    if (index === compounds.length - 1) role = compoundRole;
+  });
+
+  return { role, landmarks, landmark: landmarks[landmarks.length - 1] || null };
+}
+
+function describeCompound(compound) {
+  const attributes = Object.entries(compound.attributes).map(([name, value]) => `[${name}="${value}"]`);
+  return `${compound.tagName || ''}${compound.id ? `#${compound.id}` : ''}${attributes.join('')}`;
+}
+
+// Category used by the order rules: the landmark the element belongs to, else its widget type
+function getElementType(identifier) {
+  const { role, landmark } = classifyElement(identifier);
+  if (landmark) return LANDMARK_TYPES[landmark.role];
+  return WIDGET_TYPES[role] || 'other';
+}
+
+// Role of a parsed element, taking its ancestors and accessible name into account
+function getElementRole(element, root) {
+  return getRole(element.tagName, element.attributes, getAncestors(element).map(a => a.tagName), getLabel(element.attributes, root));
+}
+
+// Every landmark in a parsed document with its role and label, in document order
+function getLandmarks(root) {
+  const landmarks = [];
+  walk(root, element => {
+    const role = getElementRole(element, root);
+    if (isLandmarkRole(role)) landmarks.push({ role, label: getLabel(element.attributes, root), element, line: element.line });
+  });
+  return landmarks;
+}
+
+module.exports = {
+  parseSelector,
+  getRole,
+  getLabel,
+  getElementRole,
+  classifyElement,
+  getElementType,
+  getLandmarks,
+  isLandmarkRole,
+  LANDMARK_ROLES,
+  LANDMARK_TYPES
+};
@@ -0,0 +1,262 @@
+/**
+ * Focus Trap Detection
+ * Finds keyboard traps (WCAG 2.1.2) in a model of UI states and the keys that move between them
+ */
+
+const fs = require('fs');
+
+// Keys every keyboard user can be expected to try; anything else only counts as an
+// exit when the state documents it (the user is advised of the method)
+const STANDARD_KEYS = [
+  'Tab', 'Shift+Tab', 'Escape', 'Enter', 'Space',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'
+];
+const EXIT = '#browser'; // browser UI reached by tabbing past the first or last element
+
+function nodeId(state, element) {
+  return `${state}::${element}`;
+}
+
+function elementId(element) {
+  return typeof element === 'string' ? element : element.id;
+}
+
+// Read a state model from a file path or a JSON string
+function loadStateModel(value) {
+  if (typeof value === 'object') return value;
+  const source = String(value);
+  const text = fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source;
+  return JSON.parse(text);
+}
+
+// Build the navigation graph. Within a state, Tab and Shift+Tab move to the next and
+// previous element; past the ends they wrap (modal states wrap by default) or reach the
+// browser UI. Explicit transitions replace the default move for their key.
+function buildNavigationGraph(model) {
+  const states = model.states || {};
+  const names = Object.keys(states);
+  const initial = model.initial || names[0];
+  const edges = new Map([[EXIT, []]]);
+  const problems = [];
+
+  const addEdge = (from, to, key, standard) => edges.get(from).push({ to, key, standard });
+
+  names.forEach(name => {
+    (states[name].elements || []).forEach(element => edges.set(nodeId(name, elementId(element)), []));
+  });
+
+  names.forEach(name => {
+    const state = states[name];
+    const elements = (state.elements || []).map(elementId);
+    const wrap = state.wrap !== undefined ? state.wrap : Boolean(state.modal);
+    const documented = state.documentedKeys || [];
+    const isStandard = (key) => STANDARD_KEYS.includes(key) || documented.includes(key);
+    const transitions = state.transitions || [];
+
+    const resolveTarget = (transition) => {
+      const targetState = transition.to || name;
+      if (!states[targetState]) {
+        problems.push(`State "${name}" has a transition to unknown state "${targetState}"`);
+        return null;
+      }
+      const targetElements = (states[targetState].elements || []).map(elementId);
+      const target = transition.toElement || targetElements[0];
+      if (!target || !targetElements.includes(target)) {
+        problems.push(`State "${name}" has a transition to unknown element "${target}" in "${targetState}"`);
+        return null;
+      }
+      return nodeId(targetState, target);
+    };
+
+    transitions.filter(t => t.from && !elements.includes(t.from)).forEach(t => {
+      problems.push(`State "${name}" has a ${t.key} transition from unknown element "${t.from}"`);
+    });
+
+    elements.forEach((element, index) => {
+      const from = nodeId(name, element);
+      const explicit = transitions.filter(t => !t.from || t.from === element);
+      const explicitKeys = explicit.map(t => t.key);
+
+      explicit.forEach(transition => {
+        const target = resolveTarget(transition);
+        if (target) addEdge(from, target, transition.key, isStandard(transition.key));
+      });
+
+      if (!explicitKeys.includes('Tab')) {
+        const next = index + 1 < elements.length ? nodeId(name, elements[index + 1]) : (wrap ? nodeId(name, elements[0]) : EXIT);
+        addEdge(from, next, 'Tab', true);
+      }
+      if (!explicitKeys.includes('Shift+Tab')) {
+        const previous = index > 0 ? nodeId(name, elements[index - 1]) : (wrap ? nodeId(name, elements[elements.length - 1]) : EXIT);
+        addEdge(from, previous, 'Shift+Tab', true);
+      }
+    });
+  });
+
+  // From the browser UI, Tab and Shift+Tab return to the initial state's first and last elements
+  const initialElements = ((states[initial] || {}).elements || []).map(elementId);
+  if (initialElements.length > 0) {
+    addEdge(EXIT, nodeId(initial, initialElements[0]), 'Tab', true);
+    addEdge(EXIT, nodeId(initial, initialElements[initialElements.length - 1]), 'Shift+Tab', true);
+  }
+
+  return { edges, initial, problems };
+}
+
+// Tarjan's strongly connected components, iterative so deep graphs cannot overflow the stack.
+// Only edges accepted by `follow` are traversed.
+function findStronglyConnectedComponents(edges, follow = () => true) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of edges.keys()) {
+    if (index.has(start)) continue;
+
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const outgoing = edges.get(frame.node).filter(follow);
+
+      if (frame.next < outgoing.length) {
+        const target = outgoing[frame.next++].to;
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowLink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+// Nodes reachable from `start` along edges accepted by `follow`
+function reachableFrom(edges, start, follow) {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    edges.get(node).filter(follow).forEach(edge => {
+      if (!seen.has(edge.to)) {
+        seen.add(edge.to);
+        queue.push(edge.to);
+      }
+    });
+  }
+  return seen;
+}
+
+function splitNode(node) {
+  const [state, element] = node.split('::');
+  return { state, element };
+}
+
+// A trap is a strongly connected component (over standard keys) with no standard-key
+// edge leaving it, that does not include the browser UI. Any key or click can lead into
+// it; only leaving it is limited to standard and documented keys.
+function detectFocusTraps(model) {
+  const { edges, initial, problems } = buildNavigationGraph(model);
+  const states = model.states || {};
+  const standard = (edge) => edge.standard;
+  const reachable = reachableFrom(edges, EXIT, () => true);
+
+  const traps = findStronglyConnectedComponents(edges, standard)
+    .filter(component => !component.includes(EXIT) && component.some(node => reachable.has(node)))
+    .filter(component => component.every(node => edges.get(node).filter(standard).every(edge => component.includes(edge.to))))
+    .map(component => {
+      const nodes = component.map(splitNode);
+      const exits = component.flatMap(node => edges.get(node)
+        .filter(edge => !edge.standard && !component.includes(edge.to))
+        .map(edge => ({ from: splitNode(node).element, key: edge.key, to: splitNode(edge.to).state })));
+      return {
+        states: [...new Set(nodes.map(n => n.state))],
+        elements: nodes.map(n => n.element),
+        undocumentedExits: exits
+      };
+    });
+
+  // Modals should keep Tab and Shift+Tab inside the dialog
+  const modals = Object.entries(states)
+    .filter(([, state]) => state.modal)
+    .map(([name, state]) => {
+      const leaks = (state.elements || []).map(elementId).flatMap(element => edges.get(nodeId(name, element))
+        .filter(edge => ['Tab', 'Shift+Tab'].includes(edge.key) && (edge.to === EXIT || splitNode(edge.to).state !== name))
+        .map(edge => ({ from: element, key: edge.key, to: edge.to === EXIT ? 'browser UI' : splitNode(edge.to).state })));
+      const escape = (state.transitions || []).some(t => t.key === 'Escape' && (t.to || name) !== name);
+      return { state: name, leaks, escape };
+    })
+    .filter(modal => modal.leaks.length > 0 || !modal.escape);
+  const uncontainedModals = modals.filter(modal => modal.leaks.length > 0);
+
+  const issues = [...problems];
+  const recommendations = [];
+
+  traps.forEach(trap => {
+    issues.push(`Keyboard trap in ${trap.states.join(', ')}: focus cannot leave ${trap.elements.join(', ')} with standard keys (2.1.2)`);
+    if (trap.undocumentedExits.length > 0) {
+      const keys = [...new Set(trap.undocumentedExits.map(exit => exit.key))].join(', ');
+      recommendations.push(`Document the exit key (${keys}) in ${trap.states.join(', ')} via "documentedKeys" and tell users about it, or support Escape`);
+    } else {
+      recommendations.push(`Provide a way out of ${trap.states.join(', ')} with Tab, Escape or a close button`);
+    }
+  });
+
+  modals.forEach(modal => {
+    modal.leaks.forEach(leak => {
+      issues.push(`Modal "${modal.state}" does not contain focus: ${leak.key} from ${leak.from} moves to ${leak.to}`);
+    });
+    if (modal.leaks.length > 0) recommendations.push(`Wrap Tab and Shift+Tab inside modal "${modal.state}" and make the page behind it inert`);
+    if (!modal.escape) recommendations.push(`Let Escape close modal "${modal.state}"`);
+  });
+
+  return {
+    trapFree: traps.length === 0,
+    modalsContained: uncontainedModals.length === 0,
+    initial,
+    traps,
+    uncontainedModals: uncontainedModals.map(({ state, leaks }) => ({ state, leaks })),
+    modalsWithoutEscape: modals.filter(modal => !modal.escape).map(modal => modal.state),
+    issues,
+    recommendations
+  };
+}
+
+module.exports = {
+  loadStateModel,
+  buildNavigationGraph,
+  findStronglyConnectedComponents,
+  detectFocusTraps,
+  STANDARD_KEYS
+};
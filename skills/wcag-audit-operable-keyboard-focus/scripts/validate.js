@@ -5,6 +5,18 @@
  * Validates that keyboard navigation follows logical reading sequence
  */
 
+const fs = require('fs');
+const { parseHtml, loadHtml } = require('./html');
+const { getFocusOrder } = require('./focusable');
+const { loadStateModel, detectFocusTraps } = require('./traps');
+const { analyzeVisualOrder, getBox, DIRECTIONS, WRITING_MODES } = require('./geometry');
+const { classifyElement, getElementType, getLandmarks } = require('./roles');
+const { checkBypassBlocks } = require('./bypass');
+const { checkFocusNotObscured, parseViewport } = require('./obscured');
+
+// Landmarks a page should have at most one of
+const SINGLE_LANDMARKS = { banner: 'header', main: 'main', contentinfo: 'footer' };
+
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -32,6 +44,10 @@ function parseInput(options) {
   let elements = [];
   let tabOrder = [];
   let expectedOrder = null;
+  let html = options.html || null;
+  let stateModel = options.states || null;
+  let layout = {};
+  let obscuring = null;
 
   // Parse elements
   if (options.elements) {
@@ -56,23 +72,145 @@ function parseInput(options) {
       elements = jsonInput.elements || elements;
       tabOrder = jsonInput.tabOrder || jsonInput.tab_order || tabOrder;
       expectedOrder = jsonInput.expectedOrder || jsonInput.expected_order || expectedOrder;
+      html = jsonInput.html || html;
+      stateModel = jsonInput.states ? { initial: jsonInput.initial, states: jsonInput.states } : stateModel;
+      layout = { direction: jsonInput.direction, writingMode: jsonInput.writingMode, columns: jsonInput.columns };
+      obscuring = jsonInput.viewport ? { viewport: jsonInput.viewport, layers: jsonInput.layers || [] } : obscuring;
     } catch (e) {
       console.error('Invalid JSON input');
       process.exit(1);
     }
   }
 
+  // Layout file: elements with bounding boxes, listed in tab order unless tabOrder is given
+  if (options.layout) {
+    try {
+      const source = String(options.layout);
+      const layoutInput = JSON.parse(fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source);
+      elements = layoutInput.elements || elements;
+      tabOrder = layoutInput.tabOrder || elements.map((_, i) => i + 1);
+      expectedOrder = layoutInput.expectedOrder || expectedOrder;
+      layout = { direction: layoutInput.direction, writingMode: layoutInput.writingMode, columns: layoutInput.columns };
+      obscuring = layoutInput.viewport ? { viewport: layoutInput.viewport, layers: layoutInput.layers || [] } : obscuring;
+    } catch (e) {
+      console.error(`Could not read layout: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  layout = {
+    direction: options.direction || layout.direction || 'ltr',
+    writingMode: options['writing-mode'] || layout.writingMode || 'horizontal-tb',
+    columns: options.columns || layout.columns || null
+  };
+  if (!DIRECTIONS.includes(layout.direction) || !WRITING_MODES.includes(layout.writingMode)) {
+    console.error(`Invalid layout. --direction: ${DIRECTIONS.join('|')}, --writing-mode: ${WRITING_MODES.join('|')}`);
+    process.exit(1);
+  }
+
+  // Elements given as objects carry an id and, optionally, a bounding box
+  let boxes = null;
+  if (elements.some(element => typeof element === 'object')) {
+    const described = elements;
+    boxes = elements.map(getBox);
+    elements = elements.map((element, i) => (typeof element === 'object' ? element.id || element.name || `element ${i + 1}` : element));
+    if (boxes.includes(null)) {
+      console.error('Every element needs x, y, width and height to compare focus order with the visual order');
+      process.exit(1);
+    }
+
+    // With a viewport and fixed/sticky layers, the same boxes are checked for obscured focus
+    if (obscuring) {
+      obscuring.viewport = parseViewport(obscuring.viewport);
+      obscuring.elements = described.map((element, i) => (typeof element === 'object' ? { ...element, id: elements[i] } : element));
+      if (!obscuring.viewport) {
+        console.error('Invalid viewport: use { "width": 1280, "height": 720 } or "1280x720"');
+        process.exit(1);
+      }
+    }
+  }
+
+  if (stateModel) {
+    try {
+      stateModel = loadStateModel(stateModel);
+    } catch (e) {
+      console.error(`Could not read state model: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Derive elements and tab order from markup; the expected order defaults to document order
+  if (html) {
+    let focusOrder;
+    let documentLandmarks;
+    let bypassCheck;
+    try {
+      const root = parseHtml(loadHtml(html));
+      focusOrder = getFocusOrder(root);
+      documentLandmarks = getLandmarks(root).map(({ role, label, line }) => ({ role, label, line }));
+      bypassCheck = checkBypassBlocks(root);
+    } catch (e) {
+      console.error(`Could not read HTML: ${e.message}`);
+      process.exit(1);
+    }
+
+    if (focusOrder.elements.length === 0) {
+      console.error('No focusable elements found in the HTML');
+      process.exit(1);
+    }
+
+    return {
+      elements: focusOrder.elements.map(entry => entry.id),
+      tabOrder: focusOrder.tabOrder,
+      expectedOrder: expectedOrder || focusOrder.elements.map((_, i) => i + 1),
+      focusOrder,
+      documentLandmarks,
+      bypassCheck,
+      stateModel
+    };
+  }
+
+  // Without an element list, the state model's initial state gives the page's tab order
+  if (elements.length === 0 && stateModel && stateModel.states) {
+    const initial = stateModel.states[stateModel.initial || Object.keys(stateModel.states)[0]];
+    elements = ((initial && initial.elements) || []).map(e => (typeof e === 'string' ? e : e.id));
+    tabOrder = elements.map((_, i) => i + 1);
+  }
+
   if (elements.length === 0 || tabOrder.length === 0) {
     console.error('Usage: node validate.js --elements "header,nav,main,button" --tab-order "1,2,3,4"');
+    console.error('Or: node validate.js --html page.html (file or markup)');
+    console.error('Focus traps: add --states states.json (UI states, their elements and key transitions)');
+    console.error('Visual order: node validate.js --layout layout.json [--direction ltr|rtl] [--writing-mode horizontal-tb|vertical-rl|vertical-lr] [--columns 2]');
     console.error('Or: node validate.js --json \'{"elements": ["header", "nav"], "tabOrder": [1, 2]}\'');
     process.exit(1);
   }
 
-  return { elements, tabOrder, expectedOrder };
+  return { elements, tabOrder, expectedOrder, stateModel, boxes, layout, obscuring: boxes ? obscuring : null };
 }
 
-// Validate logical order
-function validateLogicalOrder(elements, tabOrder, expectedOrder) {
+// Landmark instances named in element identifiers, with the first and last tab
+// positions of the elements inside them, in order of first position
+function collectLandmarks(elements, tabOrder) {
+  const instances = new Map();
+
+  elements.forEach((element, i) => {
+    classifyElement(element).landmarks.forEach((landmark, depth, chain) => {
+      if (!instances.has(landmark.key)) {
+        instances.set(landmark.key, { ...landmark, ancestors: chain.slice(0, depth).map(l => l.role), first: Infinity, last: -Infinity });
+      }
+      const instance = instances.get(landmark.key);
+      instance.first = Math.min(instance.first, tabOrder[i]);
+      instance.last = Math.max(instance.last, tabOrder[i]);
+    });
+  });
+
+  return [...instances.values()].sort((a, b) => a.first - b.first);
+}
+
+// Validate logical order. Elements are classified by the landmarks their identifiers name;
+// `documentLandmarks` (from --html) lists every landmark on the page for the duplicate checks.
+function validateLogicalOrder(elements, tabOrder, expectedOrder, documentLandmarks = null) {
   const issues = [];
   const recommendations = [];
 
@@ -85,24 +223,39 @@ function validateLogicalOrder(elements, tabOrder, expectedOrder) {
     }
   }
 
-  // Check for basic logical patterns
-  const elementTypes = elements.map(el => getElementType(el.toLowerCase()));
+  const landmarks = collectLandmarks(elements, tabOrder);
+  const ofRole = (role) => landmarks.filter(landmark => landmark.role === role);
+  const firstOf = (role) => Math.min(...ofRole(role).map(landmark => landmark.first));
+  const banner = firstOf('banner');
+  const main = firstOf('main');
+  const contentinfo = firstOf('contentinfo');
 
   // Header should come before main content
-  const headerIndex = elementTypes.indexOf('header');
-  const mainIndex = elementTypes.indexOf('main');
-  if (headerIndex !== -1 && mainIndex !== -1 && tabOrder[headerIndex] > tabOrder[mainIndex]) {
-    issues.push('Header appears after main content in tab order');
+  if (banner !== Infinity && main !== Infinity && banner > main) {
+    issues.push('Header (banner landmark) appears after main content in tab order');
     recommendations.push('Move header/navigation before main content');
   }
 
   // Footer should come after main content
-  const footerIndex = elementTypes.indexOf('footer');
-  if (footerIndex !== -1 && mainIndex !== -1 && tabOrder[footerIndex] < tabOrder[mainIndex]) {
-    issues.push('Footer appears before main content in tab order');
+  if (contentinfo !== Infinity && main !== Infinity && contentinfo < main) {
+    issues.push('Footer (contentinfo landmark) appears before main content in tab order');
     recommendations.push('Move main content before footer');
   }
 
+  // Without a main landmark, header and footer still bracket the page
+  if (main === Infinity && banner !== Infinity && contentinfo !== Infinity && banner > contentinfo) {
+    issues.push('Header (banner landmark) appears after the footer (contentinfo landmark) in tab order');
+    recommendations.push('Move the header before the footer');
+  }
+
+  // Page-level navigation reached only after the main content
+  const lateNavigation = ofRole('navigation')
+    .filter(landmark => !landmark.ancestors.some(role => ['main', 'complementary', 'contentinfo', 'dialog'].includes(role)))
+    .filter(landmark => main !== Infinity && landmark.first > main);
+  lateNavigation.forEach(landmark => {
+    recommendations.push(`Navigation landmark "${landmark.key}" is reached after main content; put page navigation before main or in the header`);
+  });
+
   // Check for focus traps (repeated indices)
   const uniqueIndices = new Set(tabOrder);
   if (uniqueIndices.size !== tabOrder.length) {
@@ -110,35 +263,45 @@ function validateLogicalOrder(elements, tabOrder, expectedOrder) {
     recommendations.push('Ensure each interactive element has a unique tab index');
   }
 
-  // Check for logical grouping
-  const navigationElements = elementTypes.filter(type => type === 'nav').length;
-  if (navigationElements > 1) {
+  // Landmarks of the same role need distinct labels so screen reader users can tell them apart
+  const instances = documentLandmarks || landmarks;
+  const roles = [...new Set(instances.map(landmark => landmark.role))].filter(role => role !== 'dialog');
+  roles.forEach(role => {
+    const sameRole = instances.filter(landmark => landmark.role === role);
+    if (sameRole.length < 2) return;
+
+    if (SINGLE_LANDMARKS[role]) {
+      issues.push(`Page has ${sameRole.length} ${role} landmarks (${SINGLE_LANDMARKS[role]}); there should be only one`);
+      recommendations.push(`Keep one top-level <${SINGLE_LANDMARKS[role]}>, or nest the others in article or section elements`);
+      return;
+    }
+
+    const unlabelled = sameRole.filter(landmark => !landmark.label);
+    const labels = sameRole.map(landmark => landmark.label).filter(Boolean);
+    const repeated = [...new Set(labels.filter((label, i) => labels.indexOf(label) !== i))];
+    if (unlabelled.length > 0) {
+      issues.push(`${sameRole.length} ${role} landmarks, ${unlabelled.length} without a label to tell them apart`);
+    }
+    repeated.forEach(label => issues.push(`Several ${role} landmarks share the label "${label}"`));
+    if (unlabelled.length > 0 || repeated.length > 0) {
+      recommendations.push(`Give each ${role} landmark a unique aria-label or aria-labelledby`);
+    }
+  });
+
+  // Check for logical grouping (with markup, the bypass blocks check looks for actual skip links)
+  if (!documentLandmarks && instances.filter(landmark => landmark.role === 'navigation').length > 1) {
     recommendations.push('Consider providing skip links for multiple navigation sections');
   }
 
   return {
     logical: issues.length === 0,
     complete: elements.length === tabOrder.length,
+    landmarks: landmarks.map(({ role, label, key, first }) => ({ role, label, element: key, firstTabPosition: first })),
     issues,
     recommendations
   };
 }
 
-// Categorize element types for logical analysis
-function getElementType(element) {
-  const el = element.toLowerCase();
-
-  if (el.includes('header') || el.includes('h1') || el.includes('logo')) return 'header';
-  if (el.includes('nav') || el.includes('menu') || el.includes('navigation')) return 'nav';
-  if (el.includes('main') || el.includes('content') || el.includes('article')) return 'main';
-  if (el.includes('button') || el.includes('btn') || el.includes('submit')) return 'button';
-  if (el.includes('input') || el.includes('form') || el.includes('field')) return 'input';
-  if (el.includes('footer') || el.includes('bottom')) return 'footer';
-  if (el.includes('link') || el.includes('a href')) return 'link';
-
-  return 'other';
-}
-
 // Check for focus traps and missing elements
 function checkCompleteness(elements, tabOrder) {
   const issues = [];
@@ -161,36 +324,96 @@ function checkCompleteness(elements, tabOrder) {
   return { issues, recommendations };
 }
 
-function formatResult(elements, tabOrder, validation) {
+function formatResult(elements, tabOrder, validation, focusOrder, trapCheck, visualCheck, bypassCheck, obscuredCheck) {
+  const summarize = (entry) => ({ element: entry.id, tabIndex: entry.tabIndex, line: entry.line, ...(entry.reason ? { reason: entry.reason } : {}) });
+
   return {
     elements,
     tabOrder,
+    ...(focusOrder ? {
+      focusSequence: focusOrder.sequence.map(summarize),
+      programmaticallyFocusable: focusOrder.programmatic.map(summarize),
+      excluded: focusOrder.excluded.map(summarize)
+    } : {}),
     validation: {
       logical: validation.logical,
       complete: validation.complete,
+      ...(bypassCheck ? { bypassBlocks: bypassCheck.passes } : {}),
+      ...(obscuredCheck ? {
+        focusNotObscuredMinimum: obscuredCheck.focusNotObscuredMinimum,
+        focusNotObscuredEnhanced: obscuredCheck.focusNotObscuredEnhanced
+      } : {}),
+      ...(trapCheck ? { trapFree: trapCheck.trapFree, modalsContained: trapCheck.modalsContained } : {}),
       issues: validation.issues
     },
+    ...(validation.landmarks.length > 0 ? { landmarks: validation.landmarks } : {}),
+    ...(bypassCheck ? {
+      bypassBlocks: {
+        repeatedBlocks: bypassCheck.repeatedBlocks,
+        tabStopsBeforeMain: bypassCheck.tabStopsBeforeMain,
+        skipLink: bypassCheck.skipLink,
+        mechanisms: bypassCheck.mechanisms
+      }
+    } : {}),
+    ...(trapCheck ? { focusTraps: trapCheck.traps, uncontainedModals: trapCheck.uncontainedModals } : {}),
+    ...(visualCheck ? {
+      visualOrder: {
+        matches: visualCheck.matches,
+        kendallTau: visualCheck.kendallTau,
+        divergence: visualCheck.divergence,
+        readingSequence: visualCheck.readingSequence,
+        backwardJumps: visualCheck.backwardJumps,
+        crossColumnJumps: visualCheck.crossColumnJumps
+      }
+    } : {}),
+    ...(obscuredCheck ? { obscuredFocus: obscuredCheck.elements.filter(entry => entry.status !== 'visible') } : {}),
     recommendations: validation.recommendations
   };
 }
 
 function main() {
   const options = parseArgs();
-  const { elements, tabOrder, expectedOrder } = parseInput(options);
+  const { elements, tabOrder, expectedOrder, focusOrder, documentLandmarks, bypassCheck, stateModel, boxes, layout, obscuring } = parseInput(options);
 
-  const logicalValidation = validateLogicalOrder(elements, tabOrder, expectedOrder);
+  const logicalValidation = validateLogicalOrder(elements, tabOrder, expectedOrder, documentLandmarks);
   const completenessCheck = checkCompleteness(elements, tabOrder);
+  const trapCheck = stateModel ? detectFocusTraps(stateModel) : null;
+  const visualCheck = boxes ? analyzeVisualOrder(elements, tabOrder, boxes, layout) : null;
+  let obscuredCheck = null;
+  if (obscuring) {
+    try {
+      obscuredCheck = checkFocusNotObscured(obscuring.viewport, obscuring.layers, obscuring.elements);
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  }
 
   const validation = {
     logical: logicalValidation.logical,
     complete: logicalValidation.complete && completenessCheck.issues.length === 0,
-    issues: [...logicalValidation.issues, ...completenessCheck.issues],
-    recommendations: [...logicalValidation.recommendations, ...completenessCheck.recommendations]
+    landmarks: logicalValidation.landmarks,
+    issues: [
+      ...logicalValidation.issues,
+      ...completenessCheck.issues,
+      ...(bypassCheck ? bypassCheck.issues : []),
+      ...(trapCheck ? trapCheck.issues : []),
+      ...(visualCheck ? visualCheck.issues : []),
+      ...(obscuredCheck ? obscuredCheck.issues : [])
+    ],
+    recommendations: [
+      ...logicalValidation.recommendations,
+      ...completenessCheck.recommendations,
+      ...(bypassCheck ? bypassCheck.recommendations : []),
+      ...(trapCheck ? trapCheck.recommendations : []),
+      ...(visualCheck ? visualCheck.recommendations : []),
+      ...(obscuredCheck ? obscuredCheck.recommendations : [])
+    ]
   };
 
   // Output JSON if requested
   if (options.json) {
-    console.log(JSON.stringify(formatResult(elements, tabOrder, validation), null, 2));
+    console.log(JSON.stringify(formatResult(elements, tabOrder, validation, focusOrder, trapCheck, visualCheck, bypassCheck, obscuredCheck), null, 2));
     return;
   }
 
@@ -201,6 +424,31 @@ function main() {
   });
   console.log('');
 
+  if (focusOrder) {
+    console.log('Sequential focus order:');
+    focusOrder.sequence.forEach((entry, i) => {
+      const tabIndex = entry.tabIndex !== null ? ` (tabindex=${entry.tabIndex})` : '';
+      console.log(`  ${i + 1}. ${entry.id}${tabIndex}, line ${entry.line}`);
+    });
+    if (focusOrder.programmatic.length > 0) {
+      console.log(`Focusable but not in tab order (tabindex < 0): ${focusOrder.programmatic.map(e => e.id).join(', ')}`);
+    }
+    if (focusOrder.excluded.length > 0) {
+      console.log('Not focusable:');
+      focusOrder.excluded.forEach(entry => console.log(`  - ${entry.id}, line ${entry.line}: ${entry.reason}`));
+    }
+    console.log('');
+  }
+
+  if (validation.landmarks.length > 0) {
+    console.log('Landmarks in tab order:');
+    validation.landmarks.forEach(landmark => {
+      const label = landmark.label ? ` "${landmark.label}"` : '';
+      console.log(`  ${landmark.firstTabPosition}. ${landmark.role}${label} (${landmark.element})`);
+    });
+    console.log('');
+  }
+
   // Validation results
   if (validation.logical) {
     console.log('✅ Logical order: PASS');
@@ -214,7 +462,29 @@ function main() {
     console.log('❌ Complete coverage: FAIL');
   }
 
-  console.log('✅ No focus traps: PASS (based on provided data)');
+  if (visualCheck) {
+    const score = `Kendall tau ${visualCheck.kendallTau}, divergence ${visualCheck.divergence}`;
+    console.log(visualCheck.matches ? `✅ Visual order: PASS (${score})` : `❌ Visual order: FAIL (${score})`);
+  }
+
+  if (obscuredCheck) {
+    console.log(obscuredCheck.focusNotObscuredMinimum ? '✅ Focus not obscured (2.4.11): PASS' : '❌ Focus not obscured (2.4.11): FAIL');
+    console.log(obscuredCheck.focusNotObscuredEnhanced ? '✅ Focus not obscured, enhanced (2.4.12): PASS' : '❌ Focus not obscured, enhanced (2.4.12): FAIL');
+  }
+
+  if (bypassCheck) {
+    if (!bypassCheck.applicable) console.log('➖ Bypass blocks: NOT APPLICABLE (no repeated header or navigation blocks)');
+    else console.log(bypassCheck.passes ? '✅ Bypass blocks: PASS' : '❌ Bypass blocks: FAIL');
+  }
+
+  if (!trapCheck) {
+    console.log('➖ No focus traps: NOT CHECKED (provide a state model with --states)');
+  } else {
+    console.log(trapCheck.trapFree ? '✅ No focus traps: PASS' : `❌ No focus traps: FAIL (${trapCheck.traps.length} trap(s))`);
+    if (Object.values(stateModel.states || {}).some(state => state.modal)) {
+      console.log(trapCheck.modalsContained ? '✅ Modal focus containment: PASS' : '❌ Modal focus containment: FAIL');
+    }
+  }
 
   // Issues and recommendations
   if (validation.issues.length > 0) {
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+
+/**
+ * ARIA Widget Keyboard Patterns
+ * Checks composite widgets against the WAI-ARIA Authoring Practices keyboard patterns:
+ * a single tab stop, required owned roles and the expected key handlers
+ */
+
+const fs = require('fs');
+const { parseHtml, loadHtml, walk, getAttribute, hasAttribute, getAncestors, describeElement } = require('./html');
+const { parseTabIndex, isNativelyFocusable, getExclusionReason } = require('./focusable');
+const { getElementRole, getLabel } = require('./roles');
+
+const HORIZONTAL_KEYS = ['ArrowLeft', 'ArrowRight'];
+const VERTICAL_KEYS = ['ArrowUp', 'ArrowDown'];
+const ALL_ARROWS = [...VERTICAL_KEYS, ...HORIZONTAL_KEYS];
+
+// Authoring Practices expectations per widget role. `items` are the roles focus moves
+// between, `owned` the roles the widget must contain, `keys` the required handlers for
+// each orientation and `optionalKeys` the ones the pattern recommends.
+const PATTERNS = {
+  tablist: {
+    items: ['tab'],
+    owned: ['tab'],
+    orientation: 'horizontal',
+    keys: { horizontal: HORIZONTAL_KEYS, vertical: VERTICAL_KEYS },
+    optionalKeys: ['Home', 'End']
+  },
+  menu: {
+    items: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    owned: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    orientation: 'vertical',
+    keys: { horizontal: [...HORIZONTAL_KEYS, 'Enter', 'Escape'], vertical: [...VERTICAL_KEYS, 'Enter', 'Escape'] },
+    optionalKeys: ['Home', 'End']
+  },
+  menubar: {
+    items: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    owned: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    orientation: 'horizontal',
+    keys: { horizontal: [...HORIZONTAL_KEYS, 'Enter'], vertical: [...VERTICAL_KEYS, 'Enter'] },
+    optionalKeys: ['Home', 'End', 'Escape']
+  },
+  listbox: {
+    items: ['option'],
+    owned: ['option'],
+    orientation: 'vertical',
+    keys: { horizontal: HORIZONTAL_KEYS, vertical: VERTICAL_KEYS },
+    optionalKeys: ['Home', 'End']
+  },
+  grid: {
+    items: ['gridcell', 'columnheader', 'rowheader'],
+    owned: ['row'],
+    orientation: null,
+    keys: { both: ALL_ARROWS },
+    optionalKeys: ['Home', 'End', 'Ctrl+Home', 'Ctrl+End', 'PageUp', 'PageDown']
+  },
+  tree: {
+    items: ['treeitem'],
+    owned: ['treeitem'],
+    orientation: null,
+    keys: { both: ALL_ARROWS },
+    optionalKeys: ['Home', 'End', 'Enter']
+  },
+  radiogroup: {
+    items: ['radio'],
+    owned: ['radio'],
+    orientation: null,
+    keys: { both: [...ALL_ARROWS, 'Space'] },
+    optionalKeys: []
+  },
+  combobox: {
+    items: [],
+    owned: [],
+    orientation: null,
+    keys: { both: ['ArrowDown', 'Enter', 'Escape'] },
+    optionalKeys: ['ArrowUp', 'Home', 'End']
+  }
+};
+
+const WIDGET_ROLES = Object.keys(PATTERNS);
+const POPUP_ROLES = ['listbox', 'grid', 'tree', 'dialog'];
+// Roles whose submenus take focus from them instead of from the tab sequence
+const MENU_OWNER_ROLES = ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'menubar', 'menu'];
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = args[i + 1];
+      if (value && !value.startsWith('--')) {
+        options[key] = value;
+        i++; // Skip next arg as it's the value
+      } else {
+        options[key] = true;
+      }
+    }
+  }
+
+  return options;
+}
+
+function parseKeys(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : String(value).split(/[\s,]+/)).filter(Boolean);
+}
+
+// In the sequential tab order: tabindex >= 0, or natively focusable without a tabindex
+function isTabStop(element) {
+  if (getExclusionReason(element)) return false;
+  const tabIndex = parseTabIndex(element);
+  return tabIndex !== null ? tabIndex >= 0 : isNativelyFocusable(element);
+}
+
+// grid cells from <td> are plain cells outside a grid
+function normalizeRole(role, widgetRole) {
+  return widgetRole === 'grid' && role === 'cell' ? 'gridcell' : role;
+}
+
+// Descendants of a widget plus elements it claims with aria-owns, without entering
+// nested widgets
+function getOwnedElements(container, root) {
+  const owned = [];
+  const visit = (node) => {
+    node.children.forEach(child => {
+      if (child.type !== 'element') return;
+      owned.push(child);
+      if (!WIDGET_ROLES.includes(getElementRole(child, root))) visit(child);
+    });
+  };
+  visit(container);
+
+  const ids = (getAttribute(container, 'aria-owns') || '').split(/\s+/).filter(Boolean);
+  walk(root, element => {
+    if (ids.includes(getAttribute(element, 'id')) && !owned.includes(element)) {
+      owned.push(element);
+      visit(element);
+    }
+  });
+  return owned;
+}
+
+// Elements pointing at others with aria-controls or aria-owns, by target id
+function getReferences(root) {
+  const references = new Map();
+  walk(root, element => {
+    ['aria-controls', 'aria-owns'].forEach(attribute => {
+      (getAttribute(element, attribute) || '').split(/\s+/).filter(Boolean).forEach(id => {
+        if (!references.has(id)) references.set(id, element);
+      });
+    });
+  });
+  return references;
+}
+
+// The widget a popup belongs to: a combobox's listbox/grid/tree (aria-controls or
+// aria-owns), or a submenu nested in or controlled by a menuitem, menubar or menu button.
+// Focus moves into such popups from their owner, so they have no tab stop of their own.
+function getPopupOwner(element, role, root, references) {
+  const id = getAttribute(element, 'id');
+  const controller = id ? references.get(id) : null;
+  const controllerRole = controller ? getElementRole(controller, root) : null;
+
+  if (controllerRole === 'combobox') return `combobox ${describeElement(controller)}`;
+  if (role !== 'menu') return null;
+  if (controller && (MENU_OWNER_ROLES.includes(controllerRole) || hasAttribute(controller, 'aria-haspopup'))) {
+    return `${controllerRole || 'menu button'} ${describeElement(controller)}`;
+  }
+  const owner = getAncestors(element).find(ancestor => MENU_OWNER_ROLES.includes(getElementRole(ancestor, root)));
+  return owner ? `${getElementRole(owner, root)} ${describeElement(owner)}` : null;
+}
+
+// Widget description from markup. Key handlers cannot be read from HTML, so they
+// come from a data-keys attribute on the widget ("ArrowLeft ArrowRight Home End").
+function describeWidgetElement(container, root, references = getReferences(root)) {
+  const role = getElementRole(container, root);
+  const owned = getOwnedElements(container, root);
+  const items = owned.map(element => ({
+    id: getAttribute(element, 'id') || describeElement(element),
+    role: normalizeRole(getElementRole(element, root), role),
+    tabStop: isTabStop(element),
+    native: element.tagName === 'input' && (getAttribute(element, 'type') || '').toLowerCase() === 'radio',
+    name: getAttribute(element, 'name'),
+    checked: hasAttribute(element, 'checked') || getAttribute(element, 'aria-checked') === 'true'
+  }));
+
+  const controls = getAttribute(container, 'aria-controls');
+  let popup = null;
+  if (controls) {
+    walk(root, element => {
+      if (!popup && getAttribute(element, 'id') === controls) popup = element;
+    });
+  }
+
+  return {
+    role,
+    element: describeElement(container),
+    name: getLabel(container.attributes, root),
+    line: container.line,
+    tabStop: isTabStop(container),
+    popupOf: getPopupOwner(container, role, root, references),
+    activedescendant: getAttribute(container, 'aria-activedescendant'),
+    orientation: getAttribute(container, 'aria-orientation'),
+    expanded: getAttribute(container, 'aria-expanded'),
+    controls,
+    popup: popup ? {
+      role: getElementRole(popup, root),
+      tabStops: getOwnedElements(popup, root).filter(isTabStop).length
+    } : null,
+    items,
+    keys: parseKeys(getAttribute(container, 'data-keys'))
+  };
+}
+
+// Every widget with a checked role in a parsed document. Native <select> elements get
+// their keyboard behavior from the browser and are skipped.
+function findWidgets(root) {
+  const widgets = [];
+  const references = getReferences(root);
+  walk(root, element => {
+    if (element.tagName === 'select') return;
+    if (WIDGET_ROLES.includes(getElementRole(element, root)) && !getExclusionReason(element)) {
+      widgets.push(describeWidgetElement(element, root, references));
+    }
+  });
+  return widgets;
+}
+
+// Fill defaults of a widget described in JSON
+function normalizeDescription(widget) {
+  return {
+    role: widget.role,
+    element: widget.element || widget.id || widget.role,
+    name: widget.name || widget.label || null,
+    line: widget.line || null,
+    tabStop: Boolean(widget.tabStop || (widget.tabindex !== undefined && widget.tabindex >= 0)),
+    popupOf: widget.popupOf || null,
+    activedescendant: widget.activedescendant || widget.activeDescendant || null,
+    orientation: widget.orientation || null,
+    expanded: widget.expanded !== undefined ? String(widget.expanded) : null,
+    controls: widget.controls || null,
+    popup: widget.popup ? { role: widget.popup.role, tabStops: widget.popup.tabStops || 0 } : null,
+    items: (widget.items || []).map(item => ({
+      id: item.id,
+      role: item.role,
+      tabStop: Boolean(item.tabStop || (item.tabindex !== undefined && item.tabindex >= 0)),
+      native: Boolean(item.native),
+      name: item.name || null,
+      checked: Boolean(item.checked)
+    })),
+    keys: parseKeys(widget.keys)
+  };
+}
+
+// Tab stops a keyboard user meets in the widget. Native radio buttons with a shared
+// name are one tab stop per group, handled by the browser.
+function countTabStops(widget) {
+  const radioGroups = new Set(widget.items.filter(item => item.native && item.name).map(item => item.name));
+  const others = widget.items.filter(item => item.tabStop && !(item.native && item.name));
+  return (widget.tabStop ? 1 : 0) + radioGroups.size + others.length;
+}
+
+function getRequiredKeys(pattern, widget) {
+  if (pattern.keys.both) return pattern.keys.both;
+  const orientation = widget.orientation === 'vertical' || widget.orientation === 'horizontal' ? widget.orientation : pattern.orientation;
+  return pattern.keys[orientation];
+}
+
+// Check one widget against its pattern
+function checkWidget(widget) {
+  const pattern = PATTERNS[widget.role];
+  const label = `${widget.role} ${widget.element}${widget.line ? ` (line ${widget.line})` : ''}`;
+  const issues = [];
+  const recommendations = [];
+
+  if (!pattern) {
+    return { ...widget, passes: false, issues: [`${label}: unsupported widget role (supported: ${WIDGET_ROLES.join(', ')})`], recommendations };
+  }
+
+  const items = widget.items.filter(item => pattern.items.includes(item.role));
+  const ownedRoles = [...new Set(widget.items.map(item => item.role).filter(Boolean))];
+  const nativeRadios = widget.role === 'radiogroup' && items.length > 0 && items.every(item => item.native);
+  const tabStops = countTabStops(widget);
+  let focusMethod = null;
+
+  // Required owned roles
+  const missingOwned = pattern.owned.length > 0 && !pattern.owned.some(role => ownedRoles.includes(role));
+  if (missingOwned) {
+    const found = ownedRoles.filter(role => !['generic', 'list', 'listitem', 'group', 'none', 'presentation'].includes(role));
+    issues.push(`${label} owns no ${pattern.owned.join('/')} elements${found.length > 0 ? ` (found ${found.join(', ')})` : ''}`);
+    recommendations.push(`Give the items of ${label} role="${pattern.owned[0]}"`);
+  }
+  if (widget.role === 'grid' && ownedRoles.includes('row') && items.length === 0) {
+    issues.push(`${label} has rows but no gridcell, columnheader or rowheader cells`);
+  }
+
+  // Exactly one tab stop, by roving tabindex or aria-activedescendant. Popups get focus
+  // from their owner, which is checked instead.
+  if (widget.popupOf) {
+    focusMethod = `popup of ${widget.popupOf}`;
+  } else if (widget.role === 'combobox') {
+    focusMethod = widget.activedescendant ? 'aria-activedescendant' : 'combobox';
+    if (!widget.tabStop) issues.push(`${label} is not in the tab order`);
+    if (widget.expanded === null) issues.push(`${label} has no aria-expanded state`);
+    if (!widget.controls) {
+      issues.push(`${label} has no aria-controls pointing at its popup`);
+    } else if (!widget.popup) {
+      issues.push(`${label} controls "${widget.controls}", which does not exist`);
+    } else {
+      if (!POPUP_ROLES.includes(widget.popup.role)) issues.push(`${label} popup has role "${widget.popup.role}"; expected ${POPUP_ROLES.join(', ')}`);
+      if (widget.popup.tabStops > 0) issues.push(`${label} popup has ${widget.popup.tabStops} tab stop(s); focus should stay on the combobox`);
+    }
+  } else if (nativeRadios) {
+    focusMethod = 'native';
+    if (tabStops !== 1) issues.push(`${label} has ${tabStops} tab stops; give its radio buttons one shared name`);
+  } else if (widget.activedescendant) {
+    focusMethod = 'aria-activedescendant';
+    if (!widget.tabStop) issues.push(`${label} uses aria-activedescendant but the widget itself is not focusable`);
+    if (!items.some(item => item.id === widget.activedescendant)) {
+      issues.push(`${label} aria-activedescendant "${widget.activedescendant}" does not point at one of its ${pattern.items.join('/')} items`);
+    }
+    if (tabStops > 1) issues.push(`${label} has ${tabStops} tab stops; with aria-activedescendant only the widget should be focusable (tabindex="-1" on items)`);
+  } else {
+    focusMethod = 'roving-tabindex';
+    const itemStops = items.filter(item => item.tabStop).length;
+    if (tabStops === 0) {
+      issues.push(`${label} has no tab stop: give one ${pattern.items[0]} tabindex="0"`);
+    } else if (tabStops > 1) {
+      issues.push(`${label} has ${tabStops} tab stops; expected exactly one`);
+      recommendations.push(`Use a roving tabindex in ${label}: tabindex="0" on the active ${pattern.items[0]}, tabindex="-1" on the others`);
+    } else if (itemStops === 0 && items.length > 0) {
+      issues.push(`${label} is itself the tab stop without aria-activedescendant, so focus cannot reach its items`);
+    }
+  }
+
+  // Key handlers declared in the model
+  const requiredKeys = nativeRadios ? [] : getRequiredKeys(pattern, widget);
+  let missingKeys = null;
+  let missingOptionalKeys = null;
+  if (widget.keys) {
+    missingKeys = requiredKeys.filter(key => !widget.keys.includes(key));
+    missingOptionalKeys = nativeRadios ? [] : pattern.optionalKeys.filter(key => !widget.keys.includes(key));
+    if (missingKeys.length > 0) issues.push(`${label} does not handle ${missingKeys.join(', ')}`);
+    if (missingOptionalKeys.length > 0) recommendations.push(`Consider supporting ${missingOptionalKeys.join(', ')} in ${label}`);
+  } else if (requiredKeys.length > 0) {
+    recommendations.push(`Declare the keys ${label} handles (data-keys or "keys") to check ${requiredKeys.join(', ')}`);
+  }
+
+  return {
+    ...widget,
+    focusMethod,
+    tabStops,
+    ownedRoles,
+    requiredKeys,
+    missingKeys,
+    missingOptionalKeys,
+    keysChecked: Boolean(widget.keys) || requiredKeys.length === 0,
+    passes: issues.length === 0,
+    issues,
+    recommendations
+  };
+}
+
+// Widgets from markup (--html) or from a description file or JSON string (--widgets):
+// one widget, an array, or { widgets: [...] }
+function loadWidgets(options) {
+  if (options.html) return findWidgets(parseHtml(loadHtml(options.html)));
+
+  const source = String(options.widgets);
+  const data = JSON.parse(fs.existsSync(source) ? fs.readFileSync(source, 'utf8') : source);
+  const widgets = Array.isArray(data) ? data : data.widgets || [data];
+  return widgets.map(normalizeDescription);
+}
+
+function main() {
+  const options = parseArgs();
+
+  if ((!options.html || options.html === true) && (!options.widgets || options.widgets === true)) {
+    console.error('Usage: node widgets.js --html widget.html (file or markup) [--json]');
+    console.error('Or: node widgets.js --widgets widgets.json (file or JSON: a widget, an array, or { "widgets": [...] })');
+    process.exit(1);
+  }
+
+  let widgets;
+  try {
+    widgets = loadWidgets(options);
+  } catch (e) {
+    console.error(`Could not read widgets: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (widgets.length === 0) {
+    console.error(`No widgets found (roles: ${WIDGET_ROLES.join(', ')})`);
+    process.exit(1);
+  }
+
+  const results = widgets.map(checkWidget);
+
+  // Output JSON if requested
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  results.forEach((result, index) => {
+    if (index > 0) console.log('');
+    const name = result.name ? ` "${result.name}"` : '';
+    const line = result.line ? `, line ${result.line}` : '';
+    console.log(`${result.passes ? '✅' : '❌'} ${result.role}${name}: ${result.element}${line}`);
+    if (result.focusMethod) console.log(`  Focus management: ${result.focusMethod}, ${result.tabStops} tab stop(s)`);
+    if (result.requiredKeys && result.requiredKeys.length > 0) {
+      console.log(`  Keys: ${result.keysChecked ? (result.missingKeys.length === 0 ? 'all required keys handled' : `missing ${result.missingKeys.join(', ')}`) : 'NOT CHECKED (no keys declared)'}`);
+    }
+    result.issues.forEach(issue => console.log(`  - ${issue}`));
+    if (result.recommendations.length > 0) {
+      console.log('  Recommendations:');
+      result.recommendations.forEach(rec => console.log(`  - ${rec}`));
+    }
+  });
+
+  const failing = results.filter(result => !result.passes).length;
+  console.log('');
+  console.log(failing === 0 ? `✅ ${results.length} widget(s) follow their keyboard patterns` : `❌ ${failing} of ${results.length} widget(s) miss expected keyboard behavior`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  findWidgets,
+  checkWidget,
+  normalizeDescription,
+  PATTERNS,
+  WIDGET_ROLES
+};
@@ -2,11 +2,39 @@
 
 /**
  * Touch Target Size Checker
- * Validates interactive elements meet WCAG 44x44px minimum size requirements
+ * Validates interactive elements against WCAG 2.5.8 Target Size (Minimum, AA, 24px)
+ * or 2.5.5 Target Size (Enhanced, AAA, 44px)
  */
 
-const WCAG_MINIMUM_SIZE = 44; // pixels
-const RECOMMENDED_SPACING = 8; // pixels
+const LEVELS = {
+  AA: { criterion: '2.5.8 Target Size (Minimum)', minimum: 24, spacingException: true },
+  AAA: { criterion: '2.5.5 Target Size (Enhanced)', minimum: 44, spacingException: false }
+};
+const SPACING_CIRCLE_DIAMETER = 24; // 2.5.8 spacing exception
+
+// Exceptions shared by 2.5.8 and 2.5.5, with each criterion's wording
+const EXCEPTIONS = {
+  inline: {
+    label: 'Inline',
+    AA: 'the target is in a sentence or its size is otherwise constrained by the line-height of non-target text',
+    AAA: 'the target is in a sentence or block of text'
+  },
+  equivalent: {
+    label: 'Equivalent',
+    AA: 'the function can be achieved through a different control on the same page that meets 2.5.8',
+    AAA: 'the target is available through an equivalent link or control on the same page that is at least 44 by 44 CSS pixels'
+  },
+  'user-agent': {
+    label: 'User agent control',
+    AA: 'the size of the target is determined by the user agent and is not modified by the author',
+    AAA: 'the size of the target is determined by the user agent and is not modified by the author'
+  },
+  essential: {
+    label: 'Essential',
+    AA: 'a particular presentation of the target is essential or is legally required for the information being conveyed',
+    AAA: 'a particular presentation of the target is essential to the information being conveyed'
+  }
+};
 
 // Parse command line arguments
 function parseArgs() {
@@ -56,8 +84,15 @@ function parseDimensions(options) {
       const jsonInput = JSON.parse(options.json);
       width = jsonInput.width || width;
       height = jsonInput.height || height;
-      options.spacing = jsonInput.spacing || options.spacing;
+      options.spacing = jsonInput.spacing !== undefined ? jsonInput.spacing : options.spacing;
       options.element = jsonInput.element || options.element;
+      options.level = jsonInput.level || options.level;
+      options.x = jsonInput.x !== undefined ? jsonInput.x : options.x;
+      options.y = jsonInput.y !== undefined ? jsonInput.y : options.y;
+      options.neighbors = jsonInput.neighbors || options.neighbors;
+      options.exception = jsonInput.exception || options.exception;
+      options.equivalent = jsonInput.equivalent || options.equivalent;
+      options['equivalent-spacing'] = jsonInput.equivalentSpacing !== undefined ? jsonInput.equivalentSpacing : options['equivalent-spacing'];
     } catch (e) {
       console.error('Invalid JSON input');
       process.exit(1);
@@ -65,89 +100,247 @@ function parseDimensions(options) {
   }
 
   if (!width || !height || isNaN(width) || isNaN(height)) {
-    console.error('Usage: node check.js --width 48 --height 48 [--spacing 8] [--element "button"]');
+    console.error('Usage: node check.js --width 48 --height 48 [--level AA|AAA] [--spacing 8] [--element "button"] [--exception inline|equivalent|user-agent|essential] [--equivalent 24x24] [--equivalent-spacing 8]');
     console.error('Or: node check.js --dimensions "48x48"');
     console.error('Or: node check.js --json \'{"width": 48, "height": 48, "spacing": 8}\'');
+    console.error('Or: node check.js --targets targets.json [--svg overlay.svg] (or --html fragment.html)');
+    process.exit(1);
+  }
+
+  const level = String(options.level || 'AA').toUpperCase();
+  if (!LEVELS[level]) {
+    console.error('Invalid level. Use --level AA (2.5.8, 24px) or --level AAA (2.5.5, 44px)');
     process.exit(1);
   }
 
+  const exception = options.exception && options.exception !== true ? String(options.exception).toLowerCase() : null;
+  if (exception && !EXCEPTIONS[exception]) {
+    console.error(`Invalid exception. Use --exception ${Object.keys(EXCEPTIONS).join('|')}`);
+    process.exit(1);
+  }
+
+  let neighbors = null;
+  if (options.neighbors) {
+    try {
+      neighbors = typeof options.neighbors === 'string' ? JSON.parse(options.neighbors) : options.neighbors;
+    } catch (e) {
+      console.error('Invalid --neighbors: expected a JSON array of { x, y, width, height }');
+      process.exit(1);
+    }
+  }
+
   return {
     width: width,
     height: height,
-    spacing: options.spacing ? parseInt(options.spacing) : null,
-    element: options.element || 'interactive element'
+    spacing: options.spacing !== undefined && options.spacing !== true ? parseFloat(options.spacing) : null,
+    element: options.element || 'interactive element',
+    level,
+    position: neighbors ? { x: parseFloat(options.x) || 0, y: parseFloat(options.y) || 0 } : null,
+    neighbors,
+    exception,
+    equivalent: parseEquivalent(options.equivalent, options['equivalent-spacing'])
   };
 }
 
-// Check size compliance
-function checkSize(width, height) {
-  const meetsMinimum = width >= WCAG_MINIMUM_SIZE && height >= WCAG_MINIMUM_SIZE;
+// Size of the equivalent control, "48x48" or { width, height, spacing }, with the gap to
+// its neighbours when it relies on the spacing exception
+function parseEquivalent(value, spacing) {
+  if (!value || value === true) return null;
+  const parts = typeof value === 'object' ? [value.width, value.height] : String(value).split('x');
+  const [width, height] = parts.map(v => parseFloat(v));
+  const gap = parseFloat(typeof value === 'object' && value.spacing !== undefined ? value.spacing : spacing);
+  return isNaN(width) || isNaN(height) ? null : { width, height, spacing: isNaN(gap) ? null : gap };
+}
+
+// Whether an equivalent control meets the criterion by size or, at AA, by the spacing
+// exception; null when it is undersized at AA and its spacing is unknown
+function checkEquivalentControl(equivalent, level = 'AA') {
+  const sizeCheck = checkSize(equivalent.width, equivalent.height, level);
+  const spacingCheck = checkSpacing(equivalent.width, equivalent.height, equivalent.spacing, level);
+  return getOverallResult(sizeCheck, spacingCheck);
+}
+
+// Check size compliance against the level's minimum
+function checkSize(width, height, level = 'AA') {
+  const { minimum, criterion } = LEVELS[level];
+  const meetsMinimum = width >= minimum && height >= minimum;
   return {
     compliant: meetsMinimum,
-    minimumWidth: WCAG_MINIMUM_SIZE,
-    minimumHeight: WCAG_MINIMUM_SIZE,
+    criterion,
+    minimumWidth: minimum,
+    minimumHeight: minimum,
     actualWidth: width,
     actualHeight: height
   };
 }
 
-// Check spacing compliance
-function checkSpacing(spacing) {
-  if (spacing === null) {
-    return {
-      compliant: null, // Unknown
-      recommended: RECOMMENDED_SPACING,
-      actual: null
-    };
+function isUndersized(rect, minimum = LEVELS.AA.minimum) {
+  return rect.width < minimum || rect.height < minimum;
+}
+
+function center(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+// Distance from a point to the nearest point of a rectangle (0 inside it)
+function distanceToRect(point, rect) {
+  const dx = Math.max(rect.x - point.x, 0, point.x - (rect.x + rect.width));
+  const dy = Math.max(rect.y - point.y, 0, point.y - (rect.y + rect.height));
+  return Math.hypot(dx, dy);
+}
+
+// 2.5.8 spacing exception: a 24px circle centred on the target's bounding box must not
+// intersect another target, nor the circle of another undersized target
+function checkSpacingCircle(target, others, diameter = SPACING_CIRCLE_DIAMETER) {
+  const radius = diameter / 2;
+  const origin = center(target);
+  const conflicts = [];
+
+  others.forEach((other, index) => {
+    const name = other.id || other.element || `target ${index + 1}`;
+    const edgeDistance = distanceToRect(origin, other);
+    if (edgeDistance < radius) {
+      conflicts.push({ target: name, reason: 'circle overlaps target', distance: Math.round(edgeDistance * 10) / 10 });
+      return;
+    }
+    if (isUndersized(other)) {
+      const otherCenter = center(other);
+      const centerDistance = Math.hypot(origin.x - otherCenter.x, origin.y - otherCenter.y);
+      if (centerDistance < diameter) {
+        conflicts.push({ target: name, reason: 'circles overlap', distance: Math.round(centerDistance * 10) / 10 });
+      }
+    }
+  });
+
+  return { clear: conflicts.length === 0, conflicts };
+}
+
+// Check the spacing exception. Exact neighbour rectangles are used when given; with only a
+// spacing value, neighbours are assumed to be the same size at that gap on every side.
+function checkSpacing(width, height, spacing, level = 'AA', neighbors = null, position = { x: 0, y: 0 }) {
+  const { minimum, spacingException } = LEVELS[level];
+  const undersized = width < minimum || height < minimum;
+
+  if (!undersized || !spacingException) {
+    return { applicable: false, compliant: null, actual: spacing, conflicts: [] };
   }
 
-  const meetsRecommended = spacing >= RECOMMENDED_SPACING;
-  return {
-    compliant: meetsRecommended,
-    recommended: RECOMMENDED_SPACING,
-    actual: spacing
+  const target = { x: position.x, y: position.y, width, height };
+  let others = neighbors;
+  if (!others && spacing !== null && !isNaN(spacing)) {
+    others = [
+      { id: 'neighbour to the right', x: position.x + width + spacing, y: position.y, width, height },
+      { id: 'neighbour below', x: position.x, y: position.y + height + spacing, width, height }
+    ];
+  }
+  if (!others) {
+    return { applicable: true, compliant: null, actual: null, conflicts: [] };
+  }
+
+  const circle = checkSpacingCircle(target, others);
+  return { applicable: true, compliant: circle.clear, actual: spacing, conflicts: circle.conflicts };
+}
+
+// Check a claimed exception under the level's criterion. Only the equivalent exception can
+// be verified: equivalentPasses is whether the equivalent control meets the criterion
+// (null when that cannot be told, and the claim is taken on trust).
+function checkException(exception, level = 'AA', equivalentPasses = null) {
+  if (!exception) return { claimed: false, applies: false };
+
+  const result = {
+    claimed: true,
+    exception,
+    label: EXCEPTIONS[exception].label,
+    condition: EXCEPTIONS[exception][level],
+    applies: true
   };
+  if (exception !== 'equivalent') return result;
+
+  if (equivalentPasses === false) {
+    return { ...result, applies: false, verified: true, reason: `the equivalent control does not meet ${LEVELS[level].criterion}` };
+  }
+  return { ...result, verified: equivalentPasses === true };
 }
 
 // Generate recommendations
-function generateRecommendations(sizeCheck, spacingCheck) {
+function generateRecommendations(sizeCheck, spacingCheck, exceptionCheck = { claimed: false, applies: false }) {
   const recommendations = [];
+  const minimum = sizeCheck.minimumWidth;
+  const passed = getOverallResult(sizeCheck, spacingCheck, exceptionCheck) === true;
 
-  if (!sizeCheck.compliant) {
-    if (sizeCheck.actualWidth < WCAG_MINIMUM_SIZE) {
-      recommendations.push(`Increase width to at least ${WCAG_MINIMUM_SIZE}px (currently ${sizeCheck.actualWidth}px)`);
-    }
-    if (sizeCheck.actualHeight < WCAG_MINIMUM_SIZE) {
-      recommendations.push(`Increase height to at least ${WCAG_MINIMUM_SIZE}px (currently ${sizeCheck.actualHeight}px)`);
+  if (passed) {
+    if (!sizeCheck.compliant && spacingCheck.compliant !== true && exceptionCheck.verified === false) {
+      recommendations.push(`Confirm the equivalent control meets ${sizeCheck.criterion}: give its size${spacingCheck.applicable ? ' (and --equivalent-spacing if it relies on the spacing exception)' : ''} to verify the exception`);
     }
+    return recommendations;
+  }
+
+  if (exceptionCheck.claimed && !exceptionCheck.applies) {
+    const spacing = spacingCheck.applicable ? `, or spaced so its ${SPACING_CIRCLE_DIAMETER}px circle is clear` : '';
+    recommendations.push(`Make the equivalent control meet ${sizeCheck.criterion} (at least ${minimum}x${minimum}px${spacing}), or enlarge this target`);
+  }
+
+  if (sizeCheck.actualWidth < minimum) {
+    recommendations.push(`Increase width to at least ${minimum}px (currently ${sizeCheck.actualWidth}px)`);
+  }
+  if (sizeCheck.actualHeight < minimum) {
+    recommendations.push(`Increase height to at least ${minimum}px (currently ${sizeCheck.actualHeight}px)`);
   }
 
   if (spacingCheck.compliant === false) {
-    recommendations.push(`Ensure at least ${RECOMMENDED_SPACING}px spacing between adjacent interactive elements (currently ${spacingCheck.actual}px)`);
-  } else if (spacingCheck.compliant === null) {
-    recommendations.push(`Consider providing at least ${RECOMMENDED_SPACING}px spacing between adjacent interactive elements`);
+    const conflicts = spacingCheck.conflicts.map(c => `${c.target} (${c.reason})`).join(', ');
+    recommendations.push(`Or space it so a ${SPACING_CIRCLE_DIAMETER}px circle centred on it clears other targets and their circles (conflicts: ${conflicts})`);
+  } else if (spacingCheck.applicable && spacingCheck.compliant === null) {
+    recommendations.push(`Or check the spacing exception: give --spacing or the neighbouring targets to test the ${SPACING_CIRCLE_DIAMETER}px circle`);
   }
 
   return recommendations;
 }
 
-function formatResult(sizeCheck, spacingCheck, recommendations, element) {
+// Pass by size, the spacing exception or a claimed exception; null while spacing is untested
+function getOverallResult(sizeCheck, spacingCheck, exceptionCheck = null) {
+  if (sizeCheck.compliant || spacingCheck.compliant === true) return true;
+  if (exceptionCheck && exceptionCheck.applies) return true;
+  return spacingCheck.applicable && spacingCheck.compliant === null ? null : false;
+}
+
+// What allowed the pass: 'size', 'spacing', an exception name, or null
+function getPassedBy(sizeCheck, spacingCheck, exceptionCheck = null) {
+  if (sizeCheck.compliant) return 'size';
+  if (spacingCheck.compliant === true) return 'spacing';
+  return exceptionCheck && exceptionCheck.applies ? exceptionCheck.exception : null;
+}
+
+function formatResult(sizeCheck, spacingCheck, recommendations, element, level, exceptionCheck = null) {
   const result = {
     element: element,
+    level: level,
+    criterion: sizeCheck.criterion,
     dimensions: {
       width: sizeCheck.actualWidth,
       height: sizeCheck.actualHeight
     },
     minimumRequired: {
-      width: WCAG_MINIMUM_SIZE,
-      height: WCAG_MINIMUM_SIZE
+      width: sizeCheck.minimumWidth,
+      height: sizeCheck.minimumHeight
     },
     compliance: {
       size: sizeCheck.compliant,
-      spacing: spacingCheck.compliant
+      spacing: spacingCheck.compliant,
+      passes: getOverallResult(sizeCheck, spacingCheck, exceptionCheck),
+      passedBy: getPassedBy(sizeCheck, spacingCheck, exceptionCheck)
     }
   };
 
+  if (exceptionCheck && exceptionCheck.claimed) {
+    const { claimed, ...exception } = exceptionCheck;
+    result.exception = exception;
+  }
+
+  if (spacingCheck.conflicts.length > 0) {
+    result.spacingConflicts = spacingCheck.conflicts;
+  }
+
   if (recommendations.length > 0) {
     result.recommendations = recommendations;
   }
@@ -157,40 +350,73 @@ function formatResult(sizeCheck, spacingCheck, recommendations, element) {
 
 function main() {
   const options = parseArgs();
-  const { width, height, spacing, element } = parseDimensions(options);
 
-  const sizeCheck = checkSize(width, height);
-  const spacingCheck = checkSpacing(spacing);
-  const recommendations = generateRecommendations(sizeCheck, spacingCheck);
+  // Whole layouts: every target checked against the others
+  if (options.targets || options.html) {
+    require('./layout').runLayout(options);
+    return;
+  }
+
+  const { width, height, spacing, element, level, position, neighbors, exception, equivalent } = parseDimensions(options);
+
+  const sizeCheck = checkSize(width, height, level);
+  const spacingCheck = checkSpacing(width, height, spacing, level, neighbors, position || undefined);
+  const equivalentPasses = equivalent ? checkEquivalentControl(equivalent, level) : null;
+  const exceptionCheck = checkException(exception, level, equivalentPasses);
+  const recommendations = generateRecommendations(sizeCheck, spacingCheck, exceptionCheck);
+  const minimum = sizeCheck.minimumWidth;
 
   // Output JSON if requested
   if (options.json) {
-    console.log(JSON.stringify(formatResult(sizeCheck, spacingCheck, recommendations, element), null, 2));
+    console.log(JSON.stringify(formatResult(sizeCheck, spacingCheck, recommendations, element, level, exceptionCheck), null, 2));
     return;
   }
 
   // Human-readable output
   console.log(`Checking target size for: ${element}`);
+  console.log(`Criterion: ${sizeCheck.criterion} (${level})`);
   console.log(`Dimensions: ${width}x${height}px`);
-  console.log(`Minimum required: ${WCAG_MINIMUM_SIZE}x${WCAG_MINIMUM_SIZE}px`);
+  console.log(`Minimum required: ${minimum}x${minimum}px`);
   console.log('');
 
   // Size check
   if (sizeCheck.compliant) {
-    console.log(`✅ Size: PASS (${width}x${height}px meets ${WCAG_MINIMUM_SIZE}x${WCAG_MINIMUM_SIZE}px minimum)`);
+    console.log(`✅ Size: PASS (${width}x${height}px meets ${minimum}x${minimum}px minimum)`);
   } else {
-    console.log(`❌ Size: FAIL (${width}x${height}px is below ${WCAG_MINIMUM_SIZE}x${WCAG_MINIMUM_SIZE}px minimum)`);
+    console.log(`❌ Size: FAIL (${width}x${height}px is below ${minimum}x${minimum}px minimum)`);
   }
 
-  // Spacing check
-  if (spacingCheck.compliant === true) {
-    console.log(`✅ Spacing: PASS (${spacing}px spacing provided)`);
+  // Spacing exception (2.5.8 only)
+  if (!spacingCheck.applicable) {
+    if (!sizeCheck.compliant) console.log(`➖ Spacing exception: NOT AVAILABLE (${sizeCheck.criterion} has no spacing exception)`);
+  } else if (spacingCheck.compliant === true) {
+    console.log(`✅ Spacing exception: PASS (${SPACING_CIRCLE_DIAMETER}px circle clears neighbouring targets)`);
   } else if (spacingCheck.compliant === false) {
-    console.log(`❌ Spacing: FAIL (insufficient spacing between targets)`);
+    console.log(`❌ Spacing exception: FAIL (${SPACING_CIRCLE_DIAMETER}px circle overlaps ${spacingCheck.conflicts.map(c => c.target).join(', ')})`);
   } else {
-    console.log(`⚠️  Spacing: UNKNOWN (not specified - recommend at least ${RECOMMENDED_SPACING}px)`);
+    console.log('⚠️  Spacing exception: UNKNOWN (spacing not specified)');
+  }
+
+  // Claimed exception (inline, equivalent, user agent, essential)
+  if (exceptionCheck.claimed) {
+    const name = `${exceptionCheck.label} exception`;
+    if (sizeCheck.compliant) {
+      console.log(`➖ ${name}: NOT NEEDED (size passes)`);
+    } else if (exceptionCheck.applies) {
+      const trust = exceptionCheck.verified === false ? '; equivalent control not verified' : '';
+      console.log(`✅ ${name}: APPLIES (${exceptionCheck.condition}${trust})`);
+    } else {
+      console.log(`❌ ${name}: DOES NOT APPLY (${exceptionCheck.reason})`);
+    }
   }
 
+  const passes = getOverallResult(sizeCheck, spacingCheck, exceptionCheck);
+  const passedBy = getPassedBy(sizeCheck, spacingCheck, exceptionCheck);
+  if (passes === true && EXCEPTIONS[passedBy]) console.log(`✅ ${sizeCheck.criterion}: PASS (${EXCEPTIONS[passedBy].label} exception)`);
+  else if (passes === true) console.log(`✅ ${sizeCheck.criterion}: PASS`);
+  else if (passes === null) console.log(`⚠️  ${sizeCheck.criterion}: FAIL unless the spacing exception applies`);
+  else console.log(`❌ ${sizeCheck.criterion}: FAIL`);
+
   // Recommendations
   if (recommendations.length > 0) {
     console.log('');
@@ -202,14 +428,22 @@ function main() {
   }
 }
 
-if (require.main === module) {
-  main();
-}
-
 module.exports = {
   checkSize,
   checkSpacing,
+  checkSpacingCircle,
+  checkException,
+  checkEquivalentControl,
   generateRecommendations,
-  WCAG_MINIMUM_SIZE,
-  RECOMMENDED_SPACING
-};
\ No newline at end of file
+  getOverallResult,
+  getPassedBy,
+  isUndersized,
+  parseEquivalent,
+  EXCEPTIONS,
+  LEVELS,
+  SPACING_CIRCLE_DIAMETER
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,344 @@
+/**
+ * Layout Target Analysis
+ * Checks every target of a layout for size and spacing, using the real distances between them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  checkSize, checkSpacing, checkException, checkEquivalentControl, getOverallResult, getPassedBy, parseEquivalent,
+  EXCEPTIONS, LEVELS, SPACING_CIRCLE_DIAMETER
+} = require('./check');
+
+const CLOSEST_NEIGHBORS = 3;
+const INTERACTIVE_ROLES = [
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'slider', 'spinbutton', 'textbox', 'combobox', 'treeitem'
+];
+
+// Gap between two rectangles (0 when they touch or overlap)
+function edgeDistance(a, b) {
+  const dx = Math.max(b.x - (a.x + a.width), 0, a.x - (b.x + b.width));
+  const dy = Math.max(b.y - (a.y + a.height), 0, a.y - (b.y + b.height));
+  return Math.hypot(dx, dy);
+}
+
+function centerDistance(a, b) {
+  return Math.hypot((a.x + a.width / 2) - (b.x + b.width / 2), (a.y + a.height / 2) - (b.y + b.height / 2));
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// HTML parsing comes from the keyboard-focus skill, loaded only for --html so JSON layouts
+// work when this skill is installed on its own
+function loadHtmlHelpers() {
+  try {
+    return {
+      ...require('../../wcag-audit-operable-keyboard-focus/scripts/html'),
+      ...require('../../wcag-audit-operable-keyboard-focus/scripts/focusable')
+    };
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('--html needs the wcag-audit-operable-keyboard-focus skill installed next to this one');
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return NaN;
+  return parseFloat(String(value).replace(/px$/i, ''));
+}
+
+// Geometry from data-x/y/width/height attributes, else inline left/top/width/height
+function getInlineGeometry(element) {
+  const { getAttribute, getInlineStyle } = loadHtmlHelpers();
+  const style = getInlineStyle(element);
+  const read = (name, property) => {
+    const attribute = getAttribute(element, `data-${name}`);
+    return toNumber(attribute !== null ? attribute : style[property]);
+  };
+  const box = { x: read('x', 'left'), y: read('y', 'top'), width: read('width', 'width'), height: read('height', 'height') };
+  return Object.values(box).some(isNaN) ? null : box;
+}
+
+function isTarget(element) {
+  const { getAttribute, isNativelyFocusable, parseTabIndex } = loadHtmlHelpers();
+  const role = (getAttribute(element, 'role') || '').trim().split(/\s+/)[0];
+  const tabIndex = parseTabIndex(element);
+  return isNativelyFocusable(element) || INTERACTIVE_ROLES.includes(role) || (tabIndex !== null && tabIndex >= 0);
+}
+
+// Interactive elements of an HTML fragment that carry inline geometry. Positions are
+// taken as given, in one coordinate space (not offset by their ancestors). Exceptions
+// come from data-exception, with data-equivalent naming the equivalent control. Elements
+// that describe alike ("button") are numbered in document order so each id is unique.
+function targetsFromHtml(source) {
+  const { parseHtml, loadHtml, walk, getAttribute, describeElement, getExclusionReason } = loadHtmlHelpers();
+  const targets = [];
+  const skipped = [];
+  walk(parseHtml(loadHtml(source)), element => {
+    if (!isTarget(element) || getExclusionReason(element)) return;
+    const box = getInlineGeometry(element);
+    const id = describeElement(element);
+    const exception = getAttribute(element, 'data-exception');
+    if (box) {
+      targets.push({
+        id,
+        ...box,
+        line: element.line,
+        elementId: getAttribute(element, 'id'),
+        exception: exception ? exception.trim().toLowerCase() : null,
+        equivalent: getAttribute(element, 'data-equivalent')
+      });
+    }
+    else skipped.push({ id, line: element.line });
+  });
+
+  const counts = targets.reduce((acc, target) => ({ ...acc, [target.id]: (acc[target.id] || 0) + 1 }), {});
+  const seen = {};
+  targets.forEach(target => {
+    if (counts[target.id] < 2) return;
+    seen[target.id] = (seen[target.id] || 0) + 1;
+    target.id = `${target.id} (${seen[target.id]})`;
+  });
+  return { targets, skipped };
+}
+
+// Targets from a JSON file or string: an array, or { targets: [...] } / { elements: [...] }
+function targetsFromJson(source) {
+  const text = fs.existsSync(String(source)) ? fs.readFileSync(String(source), 'utf8') : String(source);
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.targets || data.elements || [];
+  const targets = list.map((target, i) => ({
+    ...target,
+    id: target.id || target.element || `target ${i + 1}`,
+    x: toNumber(target.x),
+    y: toNumber(target.y),
+    width: toNumber(target.width),
+    height: toNumber(target.height),
+    exception: target.exception ? String(target.exception).toLowerCase() : null
+  }));
+  const invalid = targets.filter(target => ['x', 'y', 'width', 'height'].some(key => isNaN(target[key])));
+  if (invalid.length > 0) {
+    throw new Error(`Targets need x, y, width and height: ${invalid.map(t => t.id).join(', ')}`);
+  }
+  const duplicates = targets.filter((target, i) => targets.findIndex(other => other.id === target.id) !== i);
+  if (duplicates.length > 0) {
+    throw new Error(`Target ids must be unique: ${[...new Set(duplicates.map(t => t.id))].join(', ')}`);
+  }
+  return { targets, skipped: [] };
+}
+
+// Target an equivalent refers to, by its id or (for HTML) by its element id
+function findTarget(targets, reference) {
+  const name = String(reference).trim();
+  return targets.find(target => target.id === name || (target.elementId && [target.elementId, `#${target.elementId}`].includes(name)));
+}
+
+// Whether a target's equivalent control meets the criterion by size or spacing, not by
+// an exception of its own; null when the equivalent is unknown
+function checkEquivalent(target, targets, checks, level) {
+  if (!target.equivalent) return null;
+  const size = parseEquivalent(target.equivalent);
+  if (size) return checkEquivalentControl(size, level);
+  const other = findTarget(targets, target.equivalent);
+  if (!other || other === target) return null;
+  const { sizeCheck, spacingCheck } = checks[targets.indexOf(other)];
+  return getPassedBy(sizeCheck, spacingCheck) !== null;
+}
+
+// Apply the level's size rule, then for undersized targets the spacing circle against
+// every other target (AA only) and any exception the target is classified under
+function analyzeTargets(targets, level = 'AA') {
+  const checks = targets.map((target, index) => ({
+    sizeCheck: checkSize(target.width, target.height, level),
+    spacingCheck: checkSpacing(target.width, target.height, null, level, targets.filter((_, i) => i !== index), { x: target.x, y: target.y })
+  }));
+
+  const results = targets.map((target, index) => {
+    const others = targets.filter((_, i) => i !== index);
+    const { sizeCheck, spacingCheck } = checks[index];
+    const exceptionCheck = checkException(target.exception, level, checkEquivalent(target, targets, checks, level));
+    const passes = getOverallResult(sizeCheck, spacingCheck, exceptionCheck);
+    const { claimed, ...exception } = exceptionCheck;
+
+    const neighbors = others
+      .map(other => ({
+        id: other.id,
+        distance: Math.round(edgeDistance(target, other) * 10) / 10,
+        centerDistance: Math.round(centerDistance(target, other) * 10) / 10,
+        overlapping: overlaps(target, other)
+      }))
+      .sort((a, b) => a.distance - b.distance || a.centerDistance - b.centerDistance)
+      .slice(0, CLOSEST_NEIGHBORS);
+
+    return {
+      id: target.id,
+      box: { x: target.x, y: target.y, width: target.width, height: target.height },
+      ...(target.line ? { line: target.line } : {}),
+      size: sizeCheck.compliant,
+      spacing: spacingCheck.compliant,
+      passes,
+      passedBy: getPassedBy(sizeCheck, spacingCheck, exceptionCheck),
+      ...(claimed ? { exception } : {}),
+      spacingConflicts: spacingCheck.conflicts,
+      closestNeighbors: neighbors
+    };
+  });
+
+  const overlapping = [];
+  results.forEach((result, i) => {
+    results.slice(i + 1).forEach(other => {
+      if (overlaps(result.box, other.box)) overlapping.push([result.id, other.id]);
+    });
+  });
+
+  return {
+    level,
+    criterion: LEVELS[level].criterion,
+    total: results.length,
+    passing: results.filter(result => result.passes).length,
+    failing: results.filter(result => !result.passes).map(result => result.id),
+    overlapping,
+    targets: results
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' })[c]);
+}
+
+// SVG overlay: passing targets in green, failing ones in red with their spacing circle
+// and lines to the targets it collides with
+function renderOverlay(analysis) {
+  const margin = SPACING_CIRCLE_DIAMETER;
+  const boxes = analysis.targets.map(t => t.box);
+  const minX = Math.min(...boxes.map(b => b.x)) - margin;
+  const minY = Math.min(...boxes.map(b => b.y)) - margin;
+  const maxX = Math.max(...boxes.map(b => b.x + b.width)) + margin;
+  const maxY = Math.max(...boxes.map(b => b.y + b.height)) + margin;
+  const byId = new Map(analysis.targets.map(t => [t.id, t]));
+  const lines = [];
+
+  lines.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${maxX - minX} ${maxY - minY}" width="${maxX - minX}" height="${maxY - minY}" font-family="sans-serif" font-size="10">`);
+  lines.push(`  <title>${escapeXml(`${analysis.criterion}: ${analysis.failing.length} of ${analysis.total} targets fail`)}</title>`);
+
+  analysis.targets.forEach(target => {
+    const { x, y, width, height } = target.box;
+    const color = target.passes ? '#1a7f37' : target.passes === null ? '#b35900' : '#cf222e';
+    const title = EXCEPTIONS[target.passedBy] ? `${target.id} (${EXCEPTIONS[target.passedBy].label} exception)` : target.id;
+    lines.push(`  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="1"><title>${escapeXml(title)}</title></rect>`);
+
+    if (!target.passes) {
+      const cx = x + width / 2;
+      const cy = y + height / 2;
+      if (!target.size && analysis.level === 'AA') {
+        lines.push(`  <circle cx="${cx}" cy="${cy}" r="${SPACING_CIRCLE_DIAMETER / 2}" fill="none" stroke="${color}" stroke-dasharray="3 2"/>`);
+      }
+      target.spacingConflicts.forEach(conflict => {
+        const other = byId.get(conflict.target);
+        if (!other) return;
+        lines.push(`  <line x1="${cx}" y1="${cy}" x2="${other.box.x + other.box.width / 2}" y2="${other.box.y + other.box.height / 2}" stroke="${color}" stroke-width="1"/>`);
+      });
+      lines.push(`  <text x="${x}" y="${y - 3}" fill="${color}">${escapeXml(target.id)}</text>`);
+    }
+  });
+
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
+
+function runLayout(options) {
+  const level = String(options.level || 'AA').toUpperCase();
+  if (!LEVELS[level]) {
+    console.error('Invalid level. Use --level AA (2.5.8, 24px) or --level AAA (2.5.5, 44px)');
+    process.exit(1);
+  }
+
+  let input;
+  try {
+    input = options.html ? targetsFromHtml(options.html) : targetsFromJson(options.targets);
+  } catch (e) {
+    console.error(`Could not read targets: ${e.message}`);
+    process.exit(1);
+  }
+
+  const unknown = input.targets.filter(target => target.exception && !EXCEPTIONS[target.exception]);
+  if (unknown.length > 0) {
+    console.error(`Invalid exception on ${unknown.map(t => t.id).join(', ')}. Use ${Object.keys(EXCEPTIONS).join('|')}`);
+    process.exit(1);
+  }
+
+  if (input.targets.length === 0) {
+    console.error('No targets with geometry found');
+    console.error('Usage: node check.js --targets targets.json [--level AA|AAA] [--svg overlay.svg]');
+    console.error('Or: node check.js --html fragment.html (targets with data-x/y/width/height or inline left/top/width/height)');
+    process.exit(1);
+  }
+
+  const analysis = analyzeTargets(input.targets, level);
+  const svg = options.svg && options.svg !== true ? path.resolve(options.svg) : null;
+  if (svg) {
+    try {
+      fs.writeFileSync(svg, renderOverlay(analysis));
+    } catch (e) {
+      console.error(`Could not write SVG overlay: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Output JSON if requested
+  if (options.json) {
+    console.log(JSON.stringify({ ...analysis, skipped: input.skipped, ...(svg ? { svg } : {}) }, null, 2));
+    return;
+  }
+
+  console.log(`Checking ${analysis.total} targets against ${analysis.criterion} (${level})`);
+  console.log('');
+
+  const failing = analysis.targets.filter(target => !target.passes);
+  failing.forEach(target => {
+    const { width, height } = target.box;
+    const status = target.passes === null ? '⚠️ ' : '❌';
+    console.log(`${status} ${target.id}${target.line ? ` (line ${target.line})` : ''}: ${width}x${height}px at ${target.box.x},${target.box.y}`);
+    if (target.spacingConflicts.length > 0) {
+      console.log(`   ${SPACING_CIRCLE_DIAMETER}px circle conflicts: ${target.spacingConflicts.map(c => `${c.target} (${c.reason})`).join(', ')}`);
+    }
+    if (target.exception && !target.exception.applies) {
+      console.log(`   ${target.exception.label} exception does not apply: ${target.exception.reason}`);
+    }
+    console.log(`   Closest: ${target.closestNeighbors.map(n => `${n.id} ${n.overlapping ? 'overlapping' : `${n.distance}px`}`).join(', ') || 'none'}`);
+  });
+
+  const bySpacing = analysis.targets.filter(target => target.passedBy === 'spacing');
+  if (bySpacing.length > 0) {
+    console.log(`✅ Passed by the spacing exception: ${bySpacing.map(t => t.id).join(', ')}`);
+  }
+  const byException = analysis.targets.filter(target => EXCEPTIONS[target.passedBy]);
+  if (byException.length > 0) {
+    const list = byException.map(t => `${t.id} (${t.exception.label}${t.exception.verified === false ? ', equivalent not verified' : ''})`);
+    console.log(`✅ Passed by an exception: ${list.join(', ')}`);
+  }
+  if (analysis.overlapping.length > 0) {
+    console.log(`⚠️  Overlapping targets: ${analysis.overlapping.map(pair => pair.join(' / ')).join(', ')}`);
+  }
+  if (input.skipped.length > 0) {
+    console.log(`➖ Skipped without geometry: ${input.skipped.map(s => s.id).join(', ')}`);
+  }
+
+  console.log('');
+  console.log(failing.length === 0
+    ? `✅ ${analysis.criterion}: PASS (${analysis.total} targets)`
+    : `❌ ${analysis.criterion}: FAIL (${failing.length} of ${analysis.total} targets)`);
+  if (svg) console.log(`Wrote SVG overlay to ${svg}`);
+}
+
+module.exports = {
+  analyzeTargets,
+  targetsFromHtml,
+  targetsFromJson,
+  renderOverlay,
+  runLayout,
+  edgeDistance
+};
@@ -0,0 +1,111 @@
+/**
+ * Contrast Under Simulation
+ * Checks a foreground/background pair's contrast as seen with each color vision deficiency
+ */
+
+const { parseColor, formatHex } = require('../../wcag-audit-perceivable-color-contrast/scripts/color');
+const { getEffectiveColors, getContrastRatio, checkCompliance } = require('../../wcag-audit-perceivable-color-contrast/scripts/calculate');
+const { simulateColorBlindness, SIMULATION_TYPES } = require('./simulate');
+
+const ELEMENT_TYPES = ['text', 'non-text'];
+
+// Whether a ratio meets AA for the element type (normal text, or 3:1 for non-text)
+function passesAA(compliance, element) {
+  return element === 'non-text' ? compliance.AA : compliance.AA.normal;
+}
+
+function describe(foreground, background, element) {
+  const ratio = getContrastRatio(foreground, background);
+  const compliance = checkCompliance(ratio, element);
+  return {
+    foreground: formatHex(foreground),
+    background: formatHex(background),
+    contrastRatio: Math.round(ratio * 100) / 100,
+    compliance,
+    passesAA: passesAA(compliance, element)
+  };
+}
+
+// Composite the pair to the opaque colors on screen, simulate both for every type and
+// compare the simulated contrast with the original
+function checkSimulatedContrast(foreground, background, options = {}) {
+  const element = options.element || 'text';
+  const types = options.types || SIMULATION_TYPES;
+  const simulationOptions = { severity: options.severity, algorithm: options.algorithm };
+  const effective = getEffectiveColors(foreground, [background]);
+  const original = describe(effective.foreground, effective.background, element);
+
+  const simulations = types.map(type => {
+    const simulated = describe(
+      simulateColorBlindness(effective.foreground, type, simulationOptions),
+      simulateColorBlindness(effective.background, type, simulationOptions),
+      element
+    );
+    return {
+      type,
+      ...simulated,
+      // Passes for typical vision but not for this deficiency
+      regression: original.passesAA && !simulated.passesAA
+    };
+  });
+
+  return {
+    element,
+    original,
+    simulations,
+    regressions: simulations.filter(s => s.regression).map(s => s.type)
+  };
+}
+
+// CLI entry point used by simulate.js --foreground/--background
+function runContrast(options) {
+  const foreground = parseColor(options.foreground || options.fg);
+  const background = parseColor(options.background || options.bg);
+  const element = options.element || 'text';
+  // --types like the palette and generator modes; a lone --type still selects one simulation
+  const list = options.types || options.type;
+  const types = list ? String(list).split(',').map(t => t.trim()) : SIMULATION_TYPES;
+  const unknown = types.filter(type => !SIMULATION_TYPES.includes(type));
+
+  if (!foreground || !background || !ELEMENT_TYPES.includes(element) || unknown.length > 0) {
+    if (unknown.length > 0) console.error(`Unknown types: ${unknown.join(', ')}. Supported: ${SIMULATION_TYPES.join(', ')}`);
+    console.error('Usage: node simulate.js --foreground "#D32F2F" --background "#388E3C" [--types protanopia,deuteranopia] [--element text|non-text]');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = checkSimulatedContrast(foreground, background, { element, types, severity: options.severity, algorithm: options.algorithm });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const required = element === 'non-text' ? 3 : 4.5;
+  const mark = (passes) => (passes ? '✅' : '❌');
+  console.log(`Original: ${result.original.foreground} on ${result.original.background}: ${result.original.contrastRatio}:1 ${mark(result.original.passesAA)}`);
+  console.log('');
+  result.simulations.forEach(s => {
+    const note = s.regression ? '  ⚠️  fails only under simulation' : '';
+    console.log(`${mark(s.passesAA)} ${s.type}: ${s.foreground} on ${s.background}: ${s.contrastRatio}:1${note}`);
+  });
+  console.log('');
+
+  if (result.regressions.length > 0) {
+    console.log(`⚠️  Passes ${required}:1 (AA ${element}) for typical vision but not under: ${result.regressions.join(', ')}`);
+  } else if (result.original.passesAA) {
+    console.log(`✅ Keeps ${required}:1 (AA ${element}) under every simulated type`);
+  } else {
+    console.log(`❌ Below ${required}:1 (AA ${element}) even for typical vision`);
+  }
+}
+
+module.exports = {
+  checkSimulatedContrast,
+  runContrast
+};
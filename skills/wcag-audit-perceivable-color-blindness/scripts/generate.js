@@ -0,0 +1,247 @@
+/**
+ * CVD-Safe Palette Generator
+ * Builds categorical palettes that stay distinguishable under color vision deficiencies
+ */
+
+const { parseColor, toColor, colorToSrgb, oklchToSrgb, isInSrgbGamut, deltaE2000, formatHex } = require('../../wcag-audit-perceivable-color-contrast/scripts/color');
+const { getContrastRatio } = require('../../wcag-audit-perceivable-color-contrast/scripts/calculate');
+const { simulateColorBlindness, SIMULATION_TYPES } = require('./simulate');
+const { DEFAULT_THRESHOLD } = require('./palette');
+
+const NON_TEXT_CONTRAST = 3.0; // WCAG 1.4.11
+const MAX_COUNT = 24;
+// Monochromacies leave only lightness to separate colors, so beyond a few colors no palette
+// meets the threshold under them; they are only checked when asked for with --types
+const MONOCHROMACY_TYPES = ['achromatopsia', 'blue-cone-monochromacy'];
+const DEFAULT_TYPES = SIMULATION_TYPES.filter(type => !MONOCHROMACY_TYPES.includes(type));
+
+// OKLCH search grid for candidate colors
+const LIGHTNESS_STEPS = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9];
+const CHROMA_STEPS = [0.04, 0.09, 0.14, 0.19, 0.24];
+const HUE_STEP = 15;
+const REFINE_PASSES = 4;
+
+// In-gamut 8-bit colors on the OKLCH grid that reach `minContrast` against the background
+function buildCandidates(background, minContrast) {
+  const seen = new Set();
+  const candidates = [];
+
+  LIGHTNESS_STEPS.forEach(lightness => {
+    CHROMA_STEPS.forEach(chroma => {
+      for (let hue = 0; hue < 360; hue += HUE_STEP) {
+        const rgb = oklchToSrgb([lightness, chroma, hue]);
+        if (!isInSrgbGamut(rgb)) continue;
+
+        const color = toColor(rgb);
+        const hex = formatHex(color);
+        if (seen.has(hex) || getContrastRatio(color, background) < minContrast) continue;
+
+        seen.add(hex);
+        candidates.push(color);
+      }
+    });
+  });
+
+  return candidates;
+}
+
+// The color as seen with typical vision and under each deficiency type, as sRGB arrays
+function getViews(color, types, options) {
+  return [colorToSrgb(color), ...types.map(type => colorToSrgb(simulateColorBlindness(color, type, options)))];
+}
+
+// Smallest ΔE2000 between two colors across all views
+function viewDistance(a, b) {
+  return Math.min(...a.map((view, i) => deltaE2000(view, b[i])));
+}
+
+// Greedy farthest-point selection: start from the seeds, then repeatedly add the candidate
+// whose closest already-selected color (in the worst view) is farthest away
+function generatePalette(count, options = {}) {
+  const background = options.background || { r: 255, g: 255, b: 255, alpha: 1 };
+  const seeds = options.seeds || [];
+  const types = options.types || DEFAULT_TYPES;
+  const simulationOptions = { severity: options.severity, algorithm: options.algorithm };
+
+  const selected = seeds.map(color => ({ color, seed: true, views: getViews(color, types, simulationOptions) }));
+  const pool = buildCandidates(background, options.minContrast || NON_TEXT_CONTRAST)
+    .map(color => ({ color, seed: false, views: getViews(color, types, simulationOptions), score: Infinity }));
+
+  const backgroundViews = getViews(background, types, simulationOptions);
+  const updateScores = (added) => pool.forEach(candidate => {
+    candidate.score = Math.min(candidate.score, viewDistance(candidate.views, added.views));
+  });
+
+  // With no seeds, start from the candidate farthest from the background
+  if (selected.length === 0 && pool.length > 0) {
+    pool.forEach(candidate => { candidate.score = viewDistance(candidate.views, backgroundViews); });
+  } else {
+    selected.forEach(updateScores);
+  }
+
+  while (selected.length < count && pool.length > 0) {
+    let best = 0;
+    pool.forEach((candidate, index) => {
+      if (candidate.score > pool[best].score) best = index;
+    });
+
+    const [added] = pool.splice(best, 1);
+    if (selected.length === 0) pool.forEach(candidate => { candidate.score = Infinity; });
+    selected.push(added);
+    updateScores(added);
+  }
+
+  refinePalette(selected, pool);
+  return describePalette(selected, background, types);
+}
+
+// Smallest view distance between any two entries, skipping index `skip`
+function minimumDistance(entries, skip = -1) {
+  let minimum = Infinity;
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (i !== skip && j !== skip) minimum = Math.min(minimum, viewDistance(entries[i].views, entries[j].views));
+    }
+  }
+  return minimum;
+}
+
+// Swap generated (non-seed) colors for pool candidates while that raises the palette's
+// minimum distance; greedy selection alone tends to settle on a poor last few colors
+function refinePalette(selected, pool) {
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    let improved = false;
+
+    selected.forEach((entry, index) => {
+      if (entry.seed) return;
+
+      const current = minimumDistance(selected);
+      const others = minimumDistance(selected, index);
+      let best = null;
+      let bestScore = current;
+
+      pool.forEach((candidate, poolIndex) => {
+        if (others <= bestScore) return;
+        let score = others;
+        for (let j = 0; j < selected.length && score > bestScore; j++) {
+          if (j !== index) score = Math.min(score, viewDistance(candidate.views, selected[j].views));
+        }
+        if (score > bestScore) {
+          best = poolIndex;
+          bestScore = score;
+        }
+      });
+
+      if (best !== null) {
+        const [replacement] = pool.splice(best, 1, entry);
+        selected[index] = replacement;
+        improved = true;
+      }
+    });
+
+    if (!improved) break;
+  }
+}
+
+// Contrast per color and the minimum pairwise ΔE per view
+function describePalette(selected, background, types) {
+  const viewNames = ['original', ...types];
+  const minimum = Object.fromEntries(viewNames.map(name => [name, { deltaE: Infinity, pair: null }]));
+
+  for (let i = 0; i < selected.length; i++) {
+    for (let j = i + 1; j < selected.length; j++) {
+      viewNames.forEach((name, v) => {
+        const deltaE = deltaE2000(selected[i].views[v], selected[j].views[v]);
+        if (deltaE < minimum[name].deltaE) {
+          minimum[name] = { deltaE, pair: [formatHex(selected[i].color), formatHex(selected[j].color)] };
+        }
+      });
+    }
+  }
+
+  const round = (value) => (value === Infinity ? null : Math.round(value * 100) / 100);
+  const perView = Object.fromEntries(Object.entries(minimum).map(([name, entry]) => [name, { deltaE: round(entry.deltaE), pair: entry.pair }]));
+  const overall = Object.entries(minimum).reduce((worst, [name, entry]) => (entry.deltaE < worst.deltaE ? { ...entry, view: name } : worst), { deltaE: Infinity, pair: null, view: null });
+
+  return {
+    background: formatHex(background),
+    colors: selected.map(entry => {
+      const contrastRatio = getContrastRatio(entry.color, background);
+      return {
+        color: formatHex(entry.color),
+        seed: entry.seed,
+        contrastRatio: Math.round(contrastRatio * 100) / 100,
+        nonTextContrast: contrastRatio >= NON_TEXT_CONTRAST
+      };
+    }),
+    minimumDeltaE: { deltaE: round(overall.deltaE), view: overall.view, pair: overall.pair },
+    minimumDeltaEByView: perView
+  };
+}
+
+// CLI entry point used by simulate.js --generate
+function runGenerate(options) {
+  const count = parseInt(options.generate, 10);
+  const background = parseColor(options.background || '#FFFFFF');
+  const seeds = options.seeds ? String(options.seeds).split(/,(?![^(]*\))/).map(seed => seed.trim()).filter(Boolean).map(parseColor) : [];
+  const types = options.types ? String(options.types).split(',').map(t => t.trim()) : DEFAULT_TYPES;
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : Number(options.threshold);
+  const unknown = types.filter(type => !SIMULATION_TYPES.includes(type));
+
+  if (isNaN(count) || count < 2 || count > MAX_COUNT || !background || seeds.includes(null) || unknown.length > 0 || !(threshold > 0)) {
+    if (unknown.length > 0) console.error(`Unknown types: ${unknown.join(', ')}. Supported: ${SIMULATION_TYPES.join(', ')}`);
+    console.error(`Usage: node simulate.js --generate 6 [--seeds "#0B5FFF,#E69F00"] [--background "#FFFFFF"] [--types protanopia,deuteranopia] [--threshold 10]`);
+    console.error(`Count must be between 2 and ${MAX_COUNT}, and --threshold a positive CIEDE2000 difference`);
+    process.exit(1);
+  }
+
+  if (seeds.length > count) {
+    console.error(`More seeds (${seeds.length}) than colors requested (${count})`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = generatePalette(count, { background, seeds, types, severity: options.severity, algorithm: options.algorithm });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const distinguishable = result.minimumDeltaE.deltaE !== null && result.minimumDeltaE.deltaE >= threshold;
+  const shortfall = distinguishable || result.minimumDeltaE.deltaE === null
+    ? null
+    : Math.round((threshold - result.minimumDeltaE.deltaE) * 100) / 100;
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...result, types, threshold, distinguishable, shortfall }, null, 2));
+    return;
+  }
+
+  console.log(distinguishable
+    ? `Palette of ${result.colors.length} colors on ${result.background}:`
+    : `Closest palette found for ${result.colors.length} colors on ${result.background} (does not meet ΔE ${threshold}):`);
+  result.colors.forEach(entry => {
+    const status = entry.nonTextContrast ? '✅' : '❌';
+    console.log(`${status} ${entry.color}  ${entry.contrastRatio}:1${entry.seed ? ' (seed)' : ''}`);
+  });
+  if (result.colors.length < count) {
+    console.log(`⚠️  Only ${result.colors.length} colors reach ${NON_TEXT_CONTRAST}:1 against the background`);
+  }
+
+  console.log('');
+  const { deltaE, view, pair } = result.minimumDeltaE;
+  if (deltaE !== null) {
+    console.log(`Minimum pairwise ΔE2000: ${deltaE} (${view}: ${pair.join(' / ')})`);
+    console.log(distinguishable
+      ? `✅ All pairs stay above ΔE ${threshold} under every simulated type (${types.join(', ')})`
+      : `❌ Short of the ΔE ${threshold} threshold by ${shortfall}; use fewer colors or fewer types, or pair colors with labels or patterns`);
+  }
+}
+
+module.exports = {
+  generatePalette,
+  DEFAULT_TYPES,
+  runGenerate,
+  NON_TEXT_CONTRAST
+};
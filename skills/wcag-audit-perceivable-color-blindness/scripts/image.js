@@ -0,0 +1,154 @@
+/**
+ * Image Simulation
+ * Applies color blindness simulation to every pixel of a PNG screenshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodePng, encodePng } = require('./png');
+const { simulateColorBlindness, SIMULATION_TYPES } = require('./simulate');
+
+const LAYOUTS = ['single', 'side-by-side', 'grid'];
+const GAP = 8; // px between tiles
+const GAP_COLOR = [255, 255, 255, 255];
+const MAX_CACHE_SIZE = 1 << 20; // distinct colors remembered per simulation
+
+// Simulate every pixel; alpha is kept. Screenshots reuse few colors, so results are cached.
+function simulateImage(image, type, options = {}) {
+  const { width, height, data } = image;
+  const output = Buffer.alloc(data.length);
+  const cache = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let simulated = cache.get(key);
+
+    if (!simulated) {
+      simulated = simulateColorBlindness({ r: data[i], g: data[i + 1], b: data[i + 2] }, type, options);
+      if (cache.size >= MAX_CACHE_SIZE) cache.clear();
+      cache.set(key, simulated);
+    }
+
+    output[i] = simulated.r;
+    output[i + 1] = simulated.g;
+    output[i + 2] = simulated.b;
+    output[i + 3] = data[i + 3];
+  }
+
+  return { width, height, data: output };
+}
+
+// Place equally sized images in a grid, row by row, separated by GAP
+function composeImages(images, columns) {
+  const { width, height } = images[0];
+  const rows = Math.ceil(images.length / columns);
+  const canvasWidth = columns * width + (columns - 1) * GAP;
+  const canvasHeight = rows * height + (rows - 1) * GAP;
+  const data = Buffer.alloc(canvasWidth * canvasHeight * 4);
+
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = GAP_COLOR[0];
+    data[i + 1] = GAP_COLOR[1];
+    data[i + 2] = GAP_COLOR[2];
+    data[i + 3] = GAP_COLOR[3];
+  }
+
+  images.forEach((image, index) => {
+    const left = (index % columns) * (width + GAP);
+    const top = Math.floor(index / columns) * (height + GAP);
+    for (let y = 0; y < height; y++) {
+      image.data.copy(data, ((top + y) * canvasWidth + left) * 4, y * width * 4, (y + 1) * width * 4);
+    }
+  });
+
+  return { width: canvasWidth, height: canvasHeight, data };
+}
+
+// Build the output image for a layout; returns the image and its tiles in reading order
+function renderLayout(image, layout, types, options) {
+  if (layout === 'single') {
+    return { image: simulateImage(image, types[0], options), tiles: [types[0]] };
+  }
+
+  const tiles = ['original', ...types];
+  const images = [image, ...types.map(type => simulateImage(image, type, options))];
+  const columns = layout === 'side-by-side' ? images.length : Math.ceil(Math.sqrt(images.length));
+
+  return { image: composeImages(images, columns), tiles, columns };
+}
+
+// CLI entry point used by simulate.js --image
+function runImage(options) {
+  const layout = options.layout || 'single';
+  if (!LAYOUTS.includes(layout)) {
+    console.error(`Invalid --layout. Supported: ${LAYOUTS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // One --type for a single image, --types for side-by-side and grid layouts; a grid
+  // covers every type unless narrowed down
+  const list = options.types || options.type;
+  const types = list
+    ? String(list).split(',').map(t => t.trim())
+    : layout === 'grid' ? SIMULATION_TYPES : [];
+  const unknown = types.filter(type => !SIMULATION_TYPES.includes(type));
+
+  if (types.length === 0 || unknown.length > 0 || (layout === 'single' && types.length > 1)) {
+    if (unknown.length > 0) console.error(`Unknown types: ${unknown.join(', ')}. Supported: ${SIMULATION_TYPES.join(', ')}`);
+    console.error('Usage: node simulate.js --image screen.png --type deuteranopia [--output out.png] [--layout single|side-by-side|grid]');
+    console.error('Layouts: --layout side-by-side|grid --types protanopia,deuteranopia (a grid without --types covers every type); single accepts exactly one --type');
+    process.exit(1);
+  }
+
+  const input = path.resolve(options.image);
+  const output = options.output
+    ? path.resolve(options.output)
+    : input.replace(/\.png$/i, '') + `-${layout === 'single' ? types[0] : layout}.png`;
+
+  let image;
+  try {
+    image = decodePng(fs.readFileSync(input));
+  } catch (error) {
+    console.error(`Could not read PNG: ${error.message}`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = renderLayout(image, layout, types, { severity: options.severity, algorithm: options.algorithm });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(output, encodePng(result.image, {
+    Software: 'wcag-audit-perceivable-color-blindness',
+    Description: `Tiles (left to right, top to bottom): ${result.tiles.join(', ')}`
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      input,
+      output,
+      layout,
+      tiles: result.tiles,
+      columns: result.columns || 1,
+      width: result.image.width,
+      height: result.image.height
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Wrote ${result.image.width}x${result.image.height} ${layout} image to ${output}`);
+  if (layout !== 'single') {
+    console.log(`Tiles (left to right, top to bottom): ${result.tiles.join(', ')}`);
+  }
+}
+
+module.exports = {
+  simulateImage,
+  composeImages,
+  renderLayout,
+  runImage,
+  LAYOUTS
+};
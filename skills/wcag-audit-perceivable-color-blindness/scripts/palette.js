@@ -0,0 +1,144 @@
+/**
+ * Palette Confusable Pairs
+ * Flags color pairs that become hard to tell apart under color vision deficiencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColor, colorToSrgb, deltaE2000 } = require('../../wcag-audit-perceivable-color-contrast/scripts/color');
+const { loadTokens } = require('../../wcag-audit-perceivable-color-contrast/scripts/palette');
+const { simulateColorBlindness, SIMULATION_TYPES } = require('./simulate');
+
+const DEFAULT_THRESHOLD = 10; // CIEDE2000; below this, categorical colors are hard to tell apart
+
+// Read a palette from a comma-separated list, a JSON array or a token/name -> color file
+function loadPalette(value) {
+  const source = String(value);
+
+  if (fs.existsSync(source) && fs.statSync(source).isFile()) {
+    const raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+    if (Array.isArray(raw)) {
+      return raw.map(item => ({ name: String(item), value: String(item), color: parseColor(String(item)) }));
+    }
+    return loadTokens(path.resolve(source));
+  }
+
+  // Commas inside rgb()/hsl() arguments do not separate colors
+  return source.split(/,(?![^(]*\))/)
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => ({ name: item, value: item, color: parseColor(item) }));
+}
+
+function distance(a, b) {
+  return deltaE2000(colorToSrgb(a), colorToSrgb(b));
+}
+
+// Compare every pair before and after simulation for each deficiency type
+function findConfusablePairs(palette, options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const types = options.types || SIMULATION_TYPES;
+  const simulationOptions = { severity: options.severity, algorithm: options.algorithm };
+
+  const simulated = palette.map(entry => Object.fromEntries(
+    types.map(type => [type, simulateColorBlindness(entry.color, type, simulationOptions)])
+  ));
+
+  const pairs = [];
+  for (let i = 0; i < palette.length; i++) {
+    for (let j = i + 1; j < palette.length; j++) {
+      const original = distance(palette[i].color, palette[j].color);
+      const byType = Object.fromEntries(
+        types.map(type => [type, Math.round(distance(simulated[i][type], simulated[j][type]) * 100) / 100])
+      );
+      const confusableUnder = types.filter(type => byType[type] < threshold);
+
+      pairs.push({
+        colors: [palette[i].name, palette[j].name],
+        deltaE: Math.round(original * 100) / 100,
+        simulated: byType,
+        similarOriginally: original < threshold,
+        confusableUnder,
+        status: original < threshold || confusableUnder.length > 0 ? 'fail' : 'pass'
+      });
+    }
+  }
+
+  return {
+    threshold,
+    types,
+    colors: palette.map(entry => ({ name: entry.name, value: entry.value })),
+    pairs
+  };
+}
+
+// CLI entry point used by simulate.js --palette
+function runPalette(options) {
+  let palette;
+  try {
+    palette = loadPalette(options.palette);
+  } catch (error) {
+    console.error(`Could not read palette: ${error.message}`);
+    process.exit(1);
+  }
+
+  const invalid = palette.filter(entry => !entry.color);
+  if (invalid.length > 0 || palette.length < 2) {
+    if (invalid.length > 0) console.error(`Unrecognized colors: ${invalid.map(entry => entry.value).join(', ')}`);
+    console.error('Usage: node simulate.js --palette "#E69F00,#56B4E9,#009E73" [--threshold 10] [--types protanopia,deuteranopia]');
+    process.exit(1);
+  }
+
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : Number(options.threshold);
+  const types = options.types ? String(options.types).split(',').map(t => t.trim()) : SIMULATION_TYPES;
+  const unknown = types.filter(type => !SIMULATION_TYPES.includes(type));
+  if (isNaN(threshold) || threshold <= 0 || unknown.length > 0) {
+    console.error(unknown.length > 0
+      ? `Unknown types: ${unknown.join(', ')}. Supported: ${SIMULATION_TYPES.join(', ')}`
+      : 'Invalid --threshold. Use a positive CIEDE2000 difference');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = findConfusablePairs(palette, { threshold, types, severity: options.severity, algorithm: options.algorithm });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const failing = result.pairs.filter(pair => pair.status === 'fail');
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      ...result,
+      summary: { pairs: result.pairs.length, confusable: failing.length },
+      wcag: '1.4.1 Use of Color'
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Palette of ${palette.length} colors, ${result.pairs.length} pairs, ΔE2000 threshold ${threshold}`);
+  console.log('');
+
+  if (failing.length === 0) {
+    console.log(`✅ All pairs stay distinguishable under ${types.length === SIMULATION_TYPES.length ? 'every simulated deficiency' : types.join(', ')}`);
+    return;
+  }
+
+  console.log(`❌ ${failing.length} confusable pair(s):`);
+  failing.forEach(pair => {
+    console.log(`- ${pair.colors[0]} / ${pair.colors[1]} (ΔE ${pair.deltaE})`);
+    if (pair.similarOriginally) console.log('    Similar even with typical color vision');
+    pair.confusableUnder.forEach(type => console.log(`    ${type}: ΔE ${pair.simulated[type]}`));
+  });
+  console.log('');
+  console.log('WCAG 1.4.1: do not rely on these colors alone; add labels, patterns or shapes, or adjust the palette');
+}
+
+module.exports = {
+  loadPalette,
+  findConfusablePairs,
+  runPalette,
+  DEFAULT_THRESHOLD
+};
@@ -0,0 +1,250 @@
+/**
+ * PNG Codec
+ * Minimal pure JavaScript PNG decoder/encoder (RGBA, 8 bits per channel) built on zlib
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by PNG color type
+
+// Adam7 passes: [x offset, y offset, x step, y step]
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse the per-scanline filters in place; `bpp` is bytes per complete pixel (min 1)
+function unfilter(data, offset, width, height, bitsPerPixel) {
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const rows = [];
+  let previous = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[offset];
+    const row = Buffer.from(data.subarray(offset + 1, offset + 1 + stride));
+    offset += stride + 1;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? row[x - bpp] : 0;
+      const up = previous[x];
+      const upLeft = x >= bpp ? previous[x - bpp] : 0;
+
+      switch (filter) {
+        case 0: break;
+        case 1: row[x] = (row[x] + left) & 0xff; break;
+        case 2: row[x] = (row[x] + up) & 0xff; break;
+        case 3: row[x] = (row[x] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[x] = (row[x] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+    }
+
+    rows.push(row);
+    previous = row;
+  }
+
+  return { rows, offset };
+}
+
+// Read one sample of `depth` bits, scaled to 0-255 (palette indices stay unscaled)
+function readSample(row, index, depth, scale) {
+  if (depth === 8) return row[index];
+  if (depth === 16) return row[index * 2];
+
+  const bitOffset = index * depth;
+  const value = (row[bitOffset >> 3] >> (8 - depth - (bitOffset & 7))) & ((1 << depth) - 1);
+  return scale ? Math.round((value * 255) / ((1 << depth) - 1)) : value;
+}
+
+// Decode a PNG buffer into { width, height, data } with RGBA8 pixels
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !(header.colorType in CHANNELS)) {
+    throw new Error('Unsupported or missing PNG header');
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('Indexed PNG without a palette');
+  }
+
+  const { width, height, depth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * depth;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const data = Buffer.alloc(width * height * 4);
+
+  // Transparent color key for grayscale/truecolor images (compared at full depth)
+  const key = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => transparency.readUInt16BE(i * 2))
+    : null;
+
+  const writePixel = (row, x, target) => {
+    const sample = (i) => readSample(row, x * channels + i, depth, colorType !== 3);
+    let r;
+    let g;
+    let b;
+    let a = 255;
+
+    if (colorType === 3) {
+      const index = sample(0);
+      [r, g, b] = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]];
+      if (transparency && index < transparency.length) a = transparency[index];
+    } else if (colorType === 0 || colorType === 4) {
+      r = g = b = sample(0);
+      if (colorType === 4) a = sample(1);
+    } else {
+      [r, g, b] = [sample(0), sample(1), sample(2)];
+      if (colorType === 6) a = sample(3);
+    }
+
+    if (key) {
+      const rawSample = (i) => (depth === 16 ? row.readUInt16BE((x * channels + i) * 2) : readSample(row, x * channels + i, depth, false));
+      if (key.every((value, i) => rawSample(i) === value)) a = 0;
+    }
+
+    data[target] = r;
+    data[target + 1] = g;
+    data[target + 2] = b;
+    data[target + 3] = a;
+  };
+
+  if (header.interlace === 1) {
+    let offset = 0;
+    ADAM7.forEach(([x0, y0, dx, dy]) => {
+      const passWidth = Math.ceil((width - x0) / dx);
+      const passHeight = Math.ceil((height - y0) / dy);
+      if (passWidth <= 0 || passHeight <= 0) return;
+
+      const pass = unfilter(raw, offset, passWidth, passHeight, bitsPerPixel);
+      offset = pass.offset;
+      pass.rows.forEach((row, py) => {
+        for (let px = 0; px < passWidth; px++) {
+          writePixel(row, px, (((y0 + py * dy) * width) + x0 + px * dx) * 4);
+        }
+      });
+    });
+  } else {
+    unfilter(raw, 0, width, height, bitsPerPixel).rows.forEach((row, y) => {
+      for (let x = 0; x < width; x++) writePixel(row, x, (y * width + x) * 4);
+    });
+  }
+
+  return { width, height, data };
+}
+
+function makeChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode RGBA8 pixels as a PNG, picking the filter with the smallest sum per scanline.
+// `text` adds tEXt chunks ({ keyword: value }).
+function encodePng({ width, height, data }, text = {}) {
+  const stride = width * 4;
+  const filtered = Buffer.alloc((stride + 1) * height);
+  const candidates = Array.from({ length: 5 }, () => Buffer.alloc(stride));
+
+  for (let y = 0; y < height; y++) {
+    const row = data.subarray(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? data.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+    let best = 0;
+    let bestScore = Infinity;
+
+    candidates.forEach((out, filter) => {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const left = x >= 4 ? row[x - 4] : 0;
+        const up = previous[x];
+        const upLeft = x >= 4 ? previous[x - 4] : 0;
+        const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+        out[x] = (row[x] - predictor) & 0xff;
+        score += out[x] < 128 ? out[x] : 256 - out[x];
+      }
+      if (score < bestScore) {
+        best = filter;
+        bestScore = score;
+      }
+    });
+
+    filtered[y * (stride + 1)] = best;
+    candidates[best].copy(filtered, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    makeChunk('IHDR', header),
+    ...Object.entries(text).map(([keyword, value]) => makeChunk('tEXt', Buffer.from(`${keyword}\0${value}`, 'latin1'))),
+    makeChunk('IDAT', zlib.deflateSync(filtered)),
+    makeChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng
+};
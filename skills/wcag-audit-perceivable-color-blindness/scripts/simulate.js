@@ -5,8 +5,100 @@
  * Simulates how colors appear to users with different types of color blindness
  */
 
-// Color blindness transformation matrices
-// Based on research by Machado et al. and Vienot et al.
+const fs = require('fs');
+const { parseColor, srgbToLinear, linearToSrgb } = require('../../wcag-audit-perceivable-color-contrast/scripts/color');
+
+const ALGORITHMS = ['machado', 'brettel', 'vienot'];
+const DEFAULT_ALGORITHM = 'machado';
+
+// Dichromacies: the missing cone (0 = L, 1 = M, 2 = S), the anomalous form they are the
+// limit of, and the primary Vienot et al. (1999) keep on the projection plane with white
+const DICHROMACY_TYPES = {
+  protanopia: { cone: 0, anomaly: 'protanomaly', anchor: [0, 0, 1] },
+  deuteranopia: { cone: 1, anomaly: 'deuteranomaly', anchor: [0, 0, 1] },
+  tritanopia: { cone: 2, anomaly: 'tritanomaly', anchor: [1, 0, 0] }
+};
+
+// Brettel, Vienot & Mollon (1997) for linear sRGB: two projections, picked by the side of
+// the separation plane (normal) the color falls on. Precomputed by libDaltonLens.
+const BRETTEL_PARAMS = {
+  protanopia: {
+    matrices: [
+      [[0.14980, 1.19548, -0.34528], [0.10764, 0.84864, 0.04372], [0.00384, -0.00540, 1.00156]],
+      [[0.14570, 1.16172, -0.30742], [0.10816, 0.85291, 0.03892], [0.00386, -0.00524, 1.00139]]
+    ],
+    normal: [0.00048, 0.00393, -0.00441]
+  },
+  deuteranopia: {
+    matrices: [
+      [[0.36477, 0.86381, -0.22858], [0.26294, 0.64245, 0.09462], [-0.02006, 0.02728, 0.99278]],
+      [[0.37298, 0.88166, -0.25464], [0.25954, 0.63506, 0.10540], [-0.01980, 0.02784, 0.99196]]
+    ],
+    normal: [-0.00281, -0.00611, 0.00892]
+  },
+  tritanopia: {
+    matrices: [
+      [[1.01277, 0.13548, -0.14826], [-0.01243, 0.86812, 0.14431], [0.07589, 0.80500, 0.11911]],
+      [[0.93678, 0.18979, -0.12657], [0.06154, 0.81526, 0.12320], [-0.37562, 1.12767, 0.24796]]
+    ],
+    normal: [0.03901, -0.02788, -0.01113]
+  }
+};
+
+// Anomalous trichromacy matrices from Machado, Oliveira & Fernandes (2009), tabulated
+// for severity 0.0, 0.1, ..., 1.0 and applied to linear RGB
+const ANOMALY_MATRICES = {
+  protanomaly: [
+    [[1.000000, 0.000000, 0.000000], [0.000000, 1.000000, 0.000000], [0.000000, 0.000000, 1.000000]],
+    [[0.856167, 0.182038, -0.038205], [0.029342, 0.955115, 0.015544], [-0.002880, -0.001563, 1.004443]],
+    [[0.734766, 0.334872, -0.069637], [0.051840, 0.919198, 0.028963], [-0.004928, -0.004209, 1.009137]],
+    [[0.630323, 0.465641, -0.095964], [0.069181, 0.890046, 0.040773], [-0.006308, -0.007724, 1.014032]],
+    [[0.539009, 0.579343, -0.118352], [0.082546, 0.866121, 0.051332], [-0.007136, -0.011959, 1.019095]],
+    [[0.458064, 0.679578, -0.137642], [0.092785, 0.846313, 0.060902], [-0.007494, -0.016807, 1.024301]],
+    [[0.385450, 0.769005, -0.154455], [0.100526, 0.829802, 0.069673], [-0.007442, -0.022190, 1.029632]],
+    [[0.319627, 0.849633, -0.169261], [0.106241, 0.815969, 0.077790], [-0.007025, -0.028051, 1.035076]],
+    [[0.259411, 0.923008, -0.182420], [0.110296, 0.804340, 0.085364], [-0.006276, -0.034346, 1.040622]],
+    [[0.203876, 0.990338, -0.194214], [0.112975, 0.794542, 0.092483], [-0.005222, -0.041043, 1.046265]],
+    [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]]
+  ],
+  deuteranomaly: [
+    [[1.000000, 0.000000, 0.000000], [0.000000, 1.000000, 0.000000], [0.000000, 0.000000, 1.000000]],
+    [[0.866435, 0.177704, -0.044139], [0.049567, 0.939063, 0.011370], [-0.003453, 0.007233, 0.996220]],
+    [[0.760729, 0.319078, -0.079807], [0.090568, 0.889315, 0.020117], [-0.006027, 0.013325, 0.992702]],
+    [[0.675425, 0.433850, -0.109275], [0.125303, 0.847755, 0.026942], [-0.007950, 0.018572, 0.989378]],
+    [[0.605511, 0.528560, -0.134071], [0.155318, 0.812366, 0.032316], [-0.009376, 0.023176, 0.986200]],
+    [[0.547494, 0.607765, -0.155259], [0.181692, 0.781742, 0.036566], [-0.010410, 0.027275, 0.983136]],
+    [[0.498864, 0.674741, -0.173604], [0.205199, 0.754872, 0.039929], [-0.011131, 0.030969, 0.980162]],
+    [[0.457771, 0.731899, -0.189670], [0.226409, 0.731012, 0.042579], [-0.011595, 0.034333, 0.977261]],
+    [[0.422823, 0.781057, -0.203881], [0.245752, 0.709602, 0.044646], [-0.011843, 0.037423, 0.974421]],
+    [[0.392952, 0.823610, -0.216562], [0.263559, 0.690210, 0.046232], [-0.011910, 0.040281, 0.971630]],
+    [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]]
+  ],
+  tritanomaly: [
+    [[1.000000, 0.000000, 0.000000], [0.000000, 1.000000, 0.000000], [0.000000, 0.000000, 1.000000]],
+    [[0.926670, 0.092514, -0.019184], [0.021191, 0.964503, 0.014306], [0.008437, 0.054813, 0.936750]],
+    [[0.895720, 0.133330, -0.029050], [0.029997, 0.945400, 0.024603], [0.013027, 0.104707, 0.882266]],
+    [[0.905871, 0.127791, -0.033662], [0.026856, 0.941251, 0.031893], [0.013410, 0.148296, 0.838294]],
+    [[0.948035, 0.089490, -0.037526], [0.014364, 0.946792, 0.038844], [0.010853, 0.193991, 0.795156]],
+    [[1.017277, 0.027029, -0.044306], [-0.006113, 0.958479, 0.047634], [0.006379, 0.248708, 0.744913]],
+    [[1.104996, -0.046633, -0.058363], [-0.032137, 0.971635, 0.060503], [0.001336, 0.317922, 0.680742]],
+    [[1.193214, -0.109812, -0.083402], [-0.058496, 0.979410, 0.079086], [-0.002346, 0.403492, 0.598854]],
+    [[1.257728, -0.139648, -0.118081], [-0.078003, 0.975409, 0.102594], [-0.003316, 0.501214, 0.502102]],
+    [[1.278864, -0.125333, -0.153531], [-0.084748, 0.957674, 0.127074], [-0.000989, 0.601151, 0.399838]],
+    [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+  ]
+};
+
+// Monochromacy reduces every color to a single channel: luminance (rod vision) for
+// achromatopsia, the S-cone response for blue-cone monochromacy (weights on linear RGB)
+const MONOCHROMACY_WEIGHTS = {
+  achromatopsia: [0.2126, 0.7152, 0.0722],
+  'blue-cone-monochromacy': [0.0178, 0.1096, 0.8726]
+};
+
+// Dichromacy matrices of the earlier gamma-space simulation, applied in LMS to
+// gamma-encoded sRGB. No longer used to simulate; kept for callers that read them, and
+// behind the `legacy` entries of the regression fixtures.
 const TRANSFORMATION_MATRICES = {
   protanopia: [
     [0.567, 0.433, 0.000],
@@ -25,6 +117,12 @@ const TRANSFORMATION_MATRICES = {
   ]
 };
 
+const SIMULATION_TYPES = [
+  ...Object.keys(DICHROMACY_TYPES),
+  ...Object.keys(ANOMALY_MATRICES),
+  ...Object.keys(MONOCHROMACY_WEIGHTS)
+];
+
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -47,95 +145,135 @@ function parseArgs() {
   return options;
 }
 
-// Parse color from various formats (hex, rgb)
-function parseColor(color) {
-  if (!color) return null;
-
-  // Remove spaces and convert to lowercase
-  color = color.trim().toLowerCase();
-
-  // Hex format (#RGB, #RRGGBB)
-  if (color.startsWith('#')) {
-    const hex = color.slice(1);
-    if (hex.length === 3) {
-      // #RGB -> #RRGGBB
-      return {
-        r: parseInt(hex[0] + hex[0], 16),
-        g: parseInt(hex[1] + hex[1], 16),
-        b: parseInt(hex[2] + hex[2], 16)
-      };
-    } else if (hex.length === 6) {
-      return {
-        r: parseInt(hex.slice(0, 2), 16),
-        g: parseInt(hex.slice(2, 4), 16),
-        b: parseInt(hex.slice(4, 6), 16)
-      };
-    }
-  }
+// Convert linear RGB to LMS color space
+function rgbToLms([r, g, b]) {
+  // Convert to LMS (Long, Medium, Short wavelengths)
+  const L = (17.8824 * r) + (43.5161 * g) + (4.11935 * b);
+  const M = (3.45565 * r) + (27.1554 * g) + (3.86714 * b);
+  const S = (0.0299566 * r) + (0.184309 * g) + (1.46709 * b);
 
-  // RGB format
-  if (color.startsWith('rgb(') && color.endsWith(')')) {
-    const values = color.slice(4, -1).split(',').map(v => parseInt(v.trim()));
-    if (values.length === 3) {
-      return { r: values[0], g: values[1], b: values[2] };
-    }
-  }
+  return [L, M, S];
+}
+
+// Convert LMS back to linear RGB
+function lmsToRgb([L, M, S]) {
+  const r = (0.0809444479 * L) + (-0.130504409 * M) + (0.116721066 * S);
+  const g = (-0.0102485335 * L) + (0.0540193266 * M) + (-0.113614708 * S);
+  const b = (-0.000365296938 * L) + (-0.00412161469 * M) + (0.693511405 * S);
 
-  return null;
+  return [r, g, b];
 }
 
-// Convert RGB to LMS color space
-function rgbToLms(r, g, b) {
-  // Normalize to 0-1 range
-  const rNorm = r / 255;
-  const gNorm = g / 255;
-  const bNorm = b / 255;
+// Vienot: replace the missing cone response with the combination of the other two that
+// keeps white and the anchor primary unchanged
+function getVienotProjection(type) {
+  const { cone, anchor } = DICHROMACY_TYPES[type];
+  const [i, j] = [0, 1, 2].filter(k => k !== cone);
+  const white = rgbToLms([1, 1, 1]);
+  const primary = rgbToLms(anchor);
 
-  // Convert to LMS (Long, Medium, Short wavelengths)
-  const L = (17.8824 * rNorm) + (43.5161 * gNorm) + (4.11935 * bNorm);
-  const M = (3.45565 * rNorm) + (27.1554 * gNorm) + (3.86714 * bNorm);
-  const S = (0.0299566 * rNorm) + (0.184309 * gNorm) + (1.46709 * bNorm);
+  // Solve a * white[i] + b * white[j] = white[cone] (and the same for the primary)
+  const det = (white[i] * primary[j]) - (white[j] * primary[i]);
+  const a = ((white[cone] * primary[j]) - (white[j] * primary[cone])) / det;
+  const b = ((white[i] * primary[cone]) - (white[cone] * primary[i])) / det;
 
-  return [L, M, S];
+  return (lms) => lms.map((value, k) => (k === cone ? (a * lms[i]) + (b * lms[j]) : value));
 }
 
-// Convert LMS back to RGB
-function lmsToRgb(L, M, S) {
-  // Convert back to RGB
-  let r = (0.0809444479 * L) + (-0.130504409 * M) + (0.116721066 * S);
-  let g = (-0.0102485335 * L) + (0.0540193266 * M) + (-0.113614708 * S);
-  let b = (-0.000365296938 * L) + (-0.00412161469 * M) + (0.693511405 * S);
+const VIENOT_PROJECTIONS = Object.fromEntries(
+  Object.keys(DICHROMACY_TYPES).map(type => [type, getVienotProjection(type)])
+);
 
-  // Clamp to 0-1 range
-  r = Math.max(0, Math.min(1, r));
-  g = Math.max(0, Math.min(1, g));
-  b = Math.max(0, Math.min(1, b));
+function applyMatrix(matrix, [a, b, c]) {
+  return matrix.map(row => (row[0] * a) + (row[1] * b) + (row[2] * c));
+}
 
-  // Convert to 0-255 range
-  return {
-    r: Math.round(r * 255),
-    g: Math.round(g * 255),
-    b: Math.round(b * 255)
-  };
+// Interpolate between the two tabulated matrices around `severity` (0-1)
+function getAnomalyMatrix(type, severity) {
+  const table = ANOMALY_MATRICES[type];
+  const position = severity * (table.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, table.length - 1);
+  const t = position - lower;
+
+  return table[lower].map((row, i) => row.map((value, j) => value + (table[upper][i][j] - value) * t));
+}
+
+// Run a transform on linear RGB and re-encode the clamped result to 8-bit sRGB
+function transformLinear(color, transform) {
+  const linear = [color.r, color.g, color.b].map(v => srgbToLinear(v / 255));
+  const [r, g, b] = transform(linear).map(v => Math.round(linearToSrgb(Math.max(0, Math.min(1, v))) * 255));
+  return { r, g, b };
+}
+
+function parseSeverity(value) {
+  if (value === undefined || value === null) return 1;
+  const severity = Number(value);
+  if (value === true || isNaN(severity) || severity < 0 || severity > 1) {
+    throw new Error(`Invalid severity: ${value}. Use a number between 0 and 1`);
+  }
+  return severity;
+}
+
+function parseAlgorithm(value) {
+  const algorithm = value === undefined || value === null ? DEFAULT_ALGORITHM : String(value).toLowerCase();
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown algorithm: ${value}. Supported: ${ALGORITHMS.join(', ')}`);
+  }
+  return algorithm;
 }
 
-// Simulate color blindness using transformation matrix
-function simulateColorBlindness(color, type) {
-  const matrix = TRANSFORMATION_MATRICES[type];
-  if (!matrix) {
-    throw new Error(`Unknown color blindness type: ${type}`);
+// Full dichromacy on linear RGB with the chosen algorithm
+function simulateDichromacy(linear, type, algorithm) {
+  if (algorithm === 'vienot') {
+    return lmsToRgb(VIENOT_PROJECTIONS[type](rgbToLms(linear)));
   }
 
-  // Convert RGB to LMS
-  const [L, M, S] = rgbToLms(color.r, color.g, color.b);
+  if (algorithm === 'brettel') {
+    const { matrices, normal } = BRETTEL_PARAMS[type];
+    const side = (normal[0] * linear[0]) + (normal[1] * linear[1]) + (normal[2] * linear[2]);
+    return applyMatrix(side >= 0 ? matrices[0] : matrices[1], linear);
+  }
 
-  // Apply transformation matrix
-  const newL = (matrix[0][0] * L) + (matrix[0][1] * M) + (matrix[0][2] * S);
-  const newM = (matrix[1][0] * L) + (matrix[1][1] * M) + (matrix[1][2] * S);
-  const newS = (matrix[2][0] * L) + (matrix[2][1] * M) + (matrix[2][2] * S);
+  const table = ANOMALY_MATRICES[DICHROMACY_TYPES[type].anomaly];
+  return applyMatrix(table[table.length - 1], linear);
+}
 
-  // Convert back to RGB
-  return lmsToRgb(newL, newM, newS);
+// Simulate color blindness in linear light. `options.algorithm` (machado, brettel, vienot;
+// default machado) selects the dichromacy model; `options.severity` (0-1, default 1) applies
+// to anomalous trichromacy and monochromacy, while dichromacy is always a full simulation.
+// With brettel or vienot, anomalous trichromacy blends towards the dichromacy by severity.
+function simulateColorBlindness(color, type, options = {}) {
+  const algorithm = parseAlgorithm(options.algorithm);
+
+  if (DICHROMACY_TYPES[type]) {
+    return transformLinear(color, linear => simulateDichromacy(linear, type, algorithm));
+  }
+
+  if (ANOMALY_MATRICES[type]) {
+    const severity = parseSeverity(options.severity);
+    if (algorithm === 'machado') {
+      const matrix = getAnomalyMatrix(type, severity);
+      return transformLinear(color, linear => applyMatrix(matrix, linear));
+    }
+
+    const dichromacy = Object.keys(DICHROMACY_TYPES).find(key => DICHROMACY_TYPES[key].anomaly === type);
+    return transformLinear(color, linear => {
+      const full = simulateDichromacy(linear, dichromacy, algorithm);
+      return linear.map((v, k) => v + (full[k] - v) * severity);
+    });
+  }
+
+  if (MONOCHROMACY_WEIGHTS[type]) {
+    const severity = parseSeverity(options.severity);
+    const weights = MONOCHROMACY_WEIGHTS[type];
+    return transformLinear(color, linear => {
+      const gray = (weights[0] * linear[0]) + (weights[1] * linear[1]) + (weights[2] * linear[2]);
+      return linear.map(v => v + (gray - v) * severity);
+    });
+  }
+
+  throw new Error(`Unknown color blindness type: ${type}`);
 }
 
 function colorToHex(color) {
@@ -153,20 +291,84 @@ function getDescription(type) {
   const descriptions = {
     protanopia: 'Red-blind (missing red cones) - affects ~2% of males',
     deuteranopia: 'Green-blind (missing green cones) - affects ~6% of males',
-    tritanopia: 'Blue-blind (missing blue cones) - affects ~0.003% of population'
+    tritanopia: 'Blue-blind (missing blue cones) - affects ~0.003% of population',
+    protanomaly: 'Red-weak (shifted red cones) - affects ~1% of males',
+    deuteranomaly: 'Green-weak (shifted green cones) - affects ~5% of males',
+    tritanomaly: 'Blue-weak (shifted blue cones) - affects ~0.01% of population',
+    achromatopsia: 'Total color blindness (rod vision only) - affects ~1 in 30,000 people',
+    'blue-cone-monochromacy': 'Blue-cone monochromacy (only blue cones and rods) - affects ~1 in 100,000 people'
   };
   return descriptions[type] || 'Unknown color blindness type';
 }
 
+// Compare current output against recorded fixtures; `legacy` entries are kept for reference
+function checkFixtures(file) {
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const mismatches = [];
+  let checked = 0;
+  let changedFromLegacy = 0;
+
+  Object.entries(fixtures.colors).forEach(([hex, types]) => {
+    Object.entries(types).forEach(([type, expected]) => {
+      ALGORITHMS.forEach(algorithm => {
+        if (!expected[algorithm]) return;
+        const actual = colorToHex(simulateColorBlindness(parseColor(hex), type, { algorithm }));
+        checked++;
+        if (actual !== expected[algorithm]) mismatches.push({ color: hex, type, algorithm, expected: expected[algorithm], actual });
+        if (algorithm === DEFAULT_ALGORITHM && expected.legacy && expected.legacy !== actual) changedFromLegacy++;
+      });
+    });
+  });
+
+  return { checked, mismatches, changedFromLegacy };
+}
+
 function main() {
   const options = parseArgs();
 
+  // Palette mode
+  if (options.palette) {
+    require('./palette').runPalette(options);
+    return;
+  }
+
+  // Contrast of a foreground/background pair under each simulation
+  if (options.foreground || options.fg) {
+    require('./contrast').runContrast(options);
+    return;
+  }
+
+  // Palette generator mode
+  if (options.generate) {
+    require('./generate').runGenerate(options);
+    return;
+  }
+
+  // PNG screenshot mode
+  if (options.image) {
+    require('./image').runImage(options);
+    return;
+  }
+
+  if (options.fixtures) {
+    const result = checkFixtures(options.fixtures);
+    console.log(`Checked ${result.checked} fixture(s); ${result.changedFromLegacy} ${DEFAULT_ALGORITHM} result(s) differ from the legacy gamma-space output`);
+    result.mismatches.forEach(m => {
+      console.log(`❌ ${m.color} ${m.type} (${m.algorithm}): expected ${m.expected}, got ${m.actual}`);
+    });
+    if (result.mismatches.length > 0) process.exit(1);
+    console.log('✅ All fixtures match');
+    return;
+  }
+
   // Handle JSON input
   if (options.json) {
     try {
       const jsonInput = JSON.parse(options.json);
       options.color = jsonInput.color;
       options.type = jsonInput.type;
+      options.severity = jsonInput.severity !== undefined ? jsonInput.severity : options.severity;
+      options.algorithm = jsonInput.algorithm || options.algorithm;
     } catch (e) {
       console.error('Invalid JSON input');
       process.exit(1);
@@ -178,18 +380,28 @@ function main() {
 
   if (!color) {
     console.error('Usage: node simulate.js --color "#FF0000" --type protanopia');
-    console.error('Supported types: protanopia, deuteranopia, tritanopia');
+    console.error(`Supported types: ${SIMULATION_TYPES.join(', ')}`);
+    console.error('Severity: --severity 0..1 for anomalous trichromacy and monochromacy (default 1)');
+    console.error(`Algorithm: --algorithm ${ALGORITHMS.join('|')} (default ${DEFAULT_ALGORITHM})`);
+    console.error('Palette: node simulate.js --palette "#E69F00,#56B4E9,#009E73" [--threshold 10] [--types protanopia,deuteranopia] [--json]');
+    console.error('Contrast: node simulate.js --foreground "#D32F2F" --background "#FFFFFF" [--types protanopia,deuteranopia] [--element text|non-text]');
+    console.error('Generate: node simulate.js --generate 6 [--seeds "#0B5FFF"] [--background "#FFFFFF"] [--threshold 10]');
+    console.error('Image: node simulate.js --image screen.png --type deuteranopia [--output out.png] [--layout single|side-by-side|grid [--types ...]]');
+    console.error('Fixtures: node simulate.js --fixtures fixtures/simulate-regression.json');
     console.error('Or: node simulate.js --json \'{"color": "#FF0000", "type": "protanopia"}\'');
     process.exit(1);
   }
 
-  if (!type || !TRANSFORMATION_MATRICES[type]) {
-    console.error('Invalid or missing color blindness type. Supported: protanopia, deuteranopia, tritanopia');
+  if (!type || !SIMULATION_TYPES.includes(type)) {
+    console.error(`Invalid or missing color blindness type. Supported: ${SIMULATION_TYPES.join(', ')}`);
     process.exit(1);
   }
 
   try {
-    const simulatedColor = simulateColorBlindness(color, type);
+    const graded = !DICHROMACY_TYPES[type];
+    const severity = graded ? parseSeverity(options.severity) : null;
+    const algorithm = parseAlgorithm(options.algorithm);
+    const simulatedColor = simulateColorBlindness(color, type, { severity, algorithm });
 
     // Output JSON if requested
     if (options.json) {
@@ -197,14 +409,17 @@ function main() {
         original: colorToHex(color),
         simulated: colorToHex(simulatedColor),
         type: type,
+        algorithm: algorithm,
+        ...(graded ? { severity } : {}),
         description: getDescription(type)
       }, null, 2));
       return;
     }
 
     // Human-readable output
+    const label = `${type} (${graded ? `severity ${severity}, ` : ''}${algorithm})`;
     console.log(`Original: ${colorToHex(color)} (${colorToRgbString(color)})`);
-    console.log(`${type}: ${colorToHex(simulatedColor)} (${colorToRgbString(simulatedColor)})`);
+    console.log(`${label}: ${colorToHex(simulatedColor)} (${colorToRgbString(simulatedColor)})`);
     console.log(`This color appears as ${getDescription(type).split(' - ')[0].toLowerCase()} to someone with ${type}`);
 
   } catch (error) {
@@ -213,12 +428,18 @@ function main() {
   }
 }
 
-if (require.main === module) {
-  main();
-}
-
 module.exports = {
   parseColor,
   simulateColorBlindness,
-  TRANSFORMATION_MATRICES
-};
\ No newline at end of file
+  DICHROMACY_TYPES,
+  BRETTEL_PARAMS,
+  ANOMALY_MATRICES,
+  MONOCHROMACY_WEIGHTS,
+  TRANSFORMATION_MATRICES,
+  SIMULATION_TYPES,
+  ALGORITHMS
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,151 @@
+/**
+ * APCA Lightness Contrast
+ * Implements the APCA-W3 0.0.98G-4g contrast model from the WCAG 3 working draft
+ */
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1
+};
+
+const FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// Marker values used by the APCA lookup table
+const PROHIBITED = 999; // no text of any size
+const NON_TEXT_ONLY = 777; // spot elements and non-text only
+
+// APCA font lookup table: minimum font size in px per weight (100-900) for each Lc row
+const APCA_LOOKUP_TABLE = [
+  [0, 999, 999, 999, 999, 999, 999, 999, 999, 999],
+  [10, 999, 999, 999, 999, 999, 999, 999, 999, 999],
+  [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [20, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+  [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+  [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+  [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+  [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+  [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+  [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+  [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+  [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+  [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+  [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+  [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+  [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+  [90, 48, 32, 21, 16, 15, 14, 14, 16, 18],
+  [95, 45, 28, 19.5, 15.5, 14, 13.5, 14, 16, 18],
+  [100, 42, 26.5, 18.5, 15, 13.5, 13, 14, 16, 18],
+  [105, 39, 25, 18, 14, 13, 12, 16, 16, 18]
+];
+
+// APCA "Bronze Simple Mode" usage levels, highest first
+const APCA_LEVELS = [
+  { minimum: 90, usage: 'Preferred for body text' },
+  { minimum: 75, usage: 'Minimum for body text' },
+  { minimum: 60, usage: 'Minimum for content text that is not body text' },
+  { minimum: 45, usage: 'Minimum for large text and headlines' },
+  { minimum: 30, usage: 'Minimum for spot text and non-text elements' },
+  { minimum: 15, usage: 'Minimum for non-text elements only' },
+  { minimum: 0, usage: 'Not usable for text or meaningful non-text elements' }
+];
+
+// Screen luminance (Y) used by APCA: simple 2.4 exponent, no linear toe
+function getApcaLuminance(color) {
+  const channel = (value) => Math.pow(value / 255, APCA.mainTRC);
+  return APCA.sRco * channel(color.r) + APCA.sGco * channel(color.g) + APCA.sBco * channel(color.b);
+}
+
+// Calculate the polarity-aware lightness contrast (Lc). Positive values are dark text
+// on a light background, negative values are light text on a dark background.
+function getApcaContrast(foreground, background) {
+  const clampBlack = (y) => (y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp));
+  const txtY = clampBlack(getApcaLuminance(foreground));
+  const bgY = clampBlack(getApcaLuminance(background));
+
+  if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+  let output;
+  if (bgY > txtY) {
+    const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scaleBoW;
+    output = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+  } else {
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scaleWoB;
+    output = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+  }
+
+  return output * 100;
+}
+
+function normalizeWeight(weight) {
+  const rounded = Math.round((parseFloat(weight) || 400) / 100) * 100;
+  return Math.max(100, Math.min(900, rounded));
+}
+
+// Look up the minimum font size (px) per weight for an Lc value; null means no text allowed
+function getApcaFontRequirements(lc) {
+  const magnitude = Math.abs(lc);
+  const row = [...APCA_LOOKUP_TABLE].reverse().find(r => magnitude >= r[0]) || APCA_LOOKUP_TABLE[0];
+
+  return FONT_WEIGHTS.reduce((acc, weight, i) => {
+    const size = row[i + 1];
+    acc[weight] = size === PROHIBITED || size === NON_TEXT_ONLY ? null : size;
+    return acc;
+  }, {});
+}
+
+// Check whether text of a given size (px) and weight is readable at an Lc value
+function checkApcaFont(lc, fontSize, fontWeight = 400) {
+  const weight = normalizeWeight(fontWeight);
+  const minimumSize = getApcaFontRequirements(lc)[weight];
+
+  return {
+    pass: minimumSize !== null && fontSize >= minimumSize,
+    weight,
+    minimumSize
+  };
+}
+
+function getApcaLevel(lc) {
+  const magnitude = Math.abs(lc);
+  return APCA_LEVELS.find(level => magnitude >= level.minimum);
+}
+
+// Compare the WCAG 2.x ratio with APCA at equivalent usage levels:
+// 4.5:1 against Lc 60 (content text) and 3:1 against Lc 45 (large text)
+function compareWithWcag2(ratio, lc) {
+  const roundedRatio = Math.round(ratio * 100) / 100;
+  const magnitude = Math.abs(lc);
+  const comparisons = [
+    { label: 'normal text', wcag2: roundedRatio >= 4.5, apca: magnitude >= 60 },
+    { label: 'large text', wcag2: roundedRatio >= 3.0, apca: magnitude >= 45 }
+  ];
+
+  return comparisons.map(c => ({ ...c, agree: c.wcag2 === c.apca }));
+}
+
+module.exports = {
+  getApcaLuminance,
+  getApcaContrast,
+  getApcaFontRequirements,
+  checkApcaFont,
+  getApcaLevel,
+  compareWithWcag2,
+  APCA_LOOKUP_TABLE,
+  APCA_LEVELS
+};
@@ -7,6 +7,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseColor, compositeColors, flattenLayers, mixColors, formatHex } = require('./color');
+const { getApcaContrast, getApcaFontRequirements, getApcaLevel, compareWithWcag2, checkApcaFont } = require('./apca');
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+const BLACK = { r: 0, g: 0, b: 0, alpha: 1 };
+const BACKDROP_SAMPLES = 64; // steps between the two ends of an unknown backdrop range
+
+// WCAG large text: at least 18pt, or at least 14pt bold. Same pt ratio as the text-size
+// skill's convert.js, so sizes it converts compare exactly
+const PT_TO_PX = 1.333;
+const LARGE_TEXT_SIZE = 18 * PT_TO_PX;
+const LARGE_BOLD_TEXT_SIZE = 14 * PT_TO_PX;
+const BOLD_WEIGHT = 700;
+const FONT_WEIGHT_KEYWORDS = { normal: 400, bold: 700, bolder: 700, lighter: 300 };
 
 // Parse command line arguments
 function parseArgs() {
@@ -30,49 +44,6 @@ function parseArgs() {
   return options;
 }
 
-// Parse color from various formats (hex, rgb, hsl)
-function parseColor(color) {
-  if (!color) return null;
-
-  // Remove spaces and convert to lowercase
-  color = color.trim().toLowerCase();
-
-  // Hex format (#RGB, #RRGGBB)
-  if (color.startsWith('#')) {
-    const hex = color.slice(1);
-    if (hex.length === 3) {
-      // #RGB -> #RRGGBB
-      return {
-        r: parseInt(hex[0] + hex[0], 16),
-        g: parseInt(hex[1] + hex[1], 16),
-        b: parseInt(hex[2] + hex[2], 16)
-      };
-    } else if (hex.length === 6) {
-      return {
-        r: parseInt(hex.slice(0, 2), 16),
-        g: parseInt(hex.slice(2, 4), 16),
-        b: parseInt(hex.slice(4, 6), 16)
-      };
-    }
-  }
-
-  // RGB format
-  if (color.startsWith('rgb(') && color.endsWith(')')) {
-    const values = color.slice(4, -1).split(',').map(v => parseInt(v.trim()));
-    if (values.length === 3) {
-      return { r: values[0], g: values[1], b: values[2] };
-    }
-  }
-
-  // HSL format (simplified - just return as-is for now, would need HSL->RGB conversion)
-  if (color.startsWith('hsl(') && color.endsWith(')')) {
-    console.error('HSL color format not yet supported');
-    process.exit(1);
-  }
-
-  return null;
-}
-
 // Calculate relative luminance
 function getRelativeLuminance(color) {
   const { r, g, b } = color;
@@ -102,6 +73,102 @@ function getContrastRatio(color1, color2) {
   return (lighter + 0.05) / (darker + 0.05);
 }
 
+// Resolve the opaque colors a browser paints for a (translucent) foreground over a
+// stack of background layers ordered topmost first, on top of an opaque backdrop
+function getEffectiveColors(foreground, backgrounds, backdrop = WHITE) {
+  const stack = flattenLayers(backgrounds);
+  const background = stack ? compositeColors(stack, backdrop) : backdrop;
+
+  return {
+    foreground: compositeColors(foreground, background),
+    background
+  };
+}
+
+function isOpaque(color) {
+  return color.alpha === undefined || color.alpha >= 1;
+}
+
+// Contrast ratio after alpha compositing. When the layer stack is not opaque and no
+// backdrop is known, every backdrop between the two ends of `backdropRange` is
+// sampled and the worst case is reported.
+function getCompositeContrast(foreground, backgrounds, options = {}) {
+  const stack = flattenLayers(backgrounds);
+
+  if ((stack && isOpaque(stack)) || options.backdrop) {
+    const effective = getEffectiveColors(foreground, backgrounds, options.backdrop || WHITE);
+    return {
+      ratio: getContrastRatio(effective.foreground, effective.background),
+      foreground: effective.foreground,
+      background: effective.background,
+      range: null
+    };
+  }
+
+  const [from, to] = options.backdropRange || [WHITE, BLACK];
+  let worst = null;
+  let best = null;
+
+  for (let i = 0; i <= BACKDROP_SAMPLES; i++) {
+    const backdrop = mixColors(from, to, i / BACKDROP_SAMPLES);
+    const effective = getEffectiveColors(foreground, backgrounds, { ...backdrop, alpha: 1 });
+    const sample = { ...effective, backdrop, ratio: getContrastRatio(effective.foreground, effective.background) };
+
+    if (!worst || sample.ratio < worst.ratio) worst = sample;
+    if (!best || sample.ratio > best.ratio) best = sample;
+  }
+
+  return {
+    ratio: worst.ratio,
+    foreground: worst.foreground,
+    background: worst.background,
+    range: {
+      from,
+      to,
+      min: worst.ratio,
+      max: best.ratio,
+      worstBackdrop: worst.backdrop
+    }
+  };
+}
+
+// APCA (WCAG 3 draft) result for an effective foreground/background pair
+function getApcaResult(foreground, background, ratio) {
+  const lc = getApcaContrast(foreground, background);
+  return {
+    lc,
+    polarity: lc < 0 ? 'light text on dark background' : 'dark text on light background',
+    level: getApcaLevel(lc),
+    minimumFontSize: getApcaFontRequirements(lc),
+    comparison: compareWithWcag2(ratio, lc)
+  };
+}
+
+// Nearest passing colors for the effective pair
+function getSuggestions(composite, ratio, type, options, textCheck = null) {
+  const { suggestColors } = require('./suggest');
+  const adjust = options.suggest === true ? 'foreground' : options.suggest;
+  const defaultTarget = textCheck ? textCheck.required.AA : (type === 'non-text' ? 3.0 : 4.5);
+  const target = options.target ? parseFloat(options.target) : defaultTarget;
+
+  if (isNaN(target) || target < 1 || target > 21) {
+    console.error('Invalid --target. Use a contrast ratio between 1 and 21, e.g. 4.5');
+    process.exit(1);
+  }
+
+  try {
+    const candidates = ratio >= target ? [] : suggestColors(composite.foreground, composite.background, {
+      target,
+      adjust,
+      count: options.count ? parseInt(options.count) : 5
+    });
+    return { adjust, target, candidates };
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Check WCAG compliance
 function checkCompliance(ratio, type = 'text') {
   const roundedRatio = Math.round(ratio * 100) / 100;
@@ -126,73 +193,390 @@ function checkCompliance(ratio, type = 'text') {
   };
 }
 
+// Parse a CSS font-weight keyword or number (defaults to normal)
+function parseFontWeight(weight) {
+  if (weight === undefined || weight === null || weight === true) return 400;
+  const keyword = FONT_WEIGHT_KEYWORDS[String(weight).trim().toLowerCase()];
+  if (keyword) return keyword;
+
+  const numeric = parseFloat(weight);
+  return isNaN(numeric) || numeric < 1 || numeric > 1000 ? null : numeric;
+}
+
+// Apply the WCAG large text definition to a font size in pixels
+function isLargeText(fontSizePx, fontWeight = 400) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const size = round(fontSizePx);
+  return size >= round(LARGE_TEXT_SIZE) ||
+    (fontWeight >= BOLD_WEIGHT && size >= round(LARGE_BOLD_TEXT_SIZE));
+}
+
+// Font size units come from the text-size skill's convert.js, loaded only when a font size
+// is given so plain contrast checks work when this skill is installed on its own
+function loadFontSizeConverter() {
+  try {
+    return require('../../wcag-audit-perceivable-text-size/scripts/convert');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    console.error('Font sizes need the wcag-audit-perceivable-text-size skill installed next to this one');
+    process.exit(1);
+  }
+}
+
+// Single AA/AAA verdict for text of a known size and weight
+function checkTextCompliance(ratio, fontSizePx, fontWeight = 400) {
+  const compliance = checkCompliance(ratio, 'text');
+  const largeText = isLargeText(fontSizePx, fontWeight);
+  const size = largeText ? 'large' : 'normal';
+
+  return {
+    largeText,
+    AA: compliance.AA[size],
+    AAA: compliance.AAA[size],
+    required: largeText ? { AA: 3.0, AAA: 4.5 } : { AA: 4.5, AAA: 7.0 }
+  };
+}
+
 function formatColor(color) {
+  if (!isOpaque(color)) {
+    return `rgba(${color.r}, ${color.g}, ${color.b}, ${Math.round(color.alpha * 1000) / 1000})`;
+  }
   return `rgb(${color.r}, ${color.g}, ${color.b})`;
 }
 
+// Split a semicolon-separated layer list ("rgba(0,0,0,.5); #FFF") or array into strings
+function splitLayers(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(';');
+  return items.map(item => String(item).trim());
+}
+
+function parseColorList(value) {
+  return splitLayers(value).map(parseColor);
+}
+
+// Parse "x,y,w,h" or { x, y, width, height }
+function parseRegion(value) {
+  if (!value) return null;
+  const parts = typeof value === 'object'
+    ? [value.x, value.y, value.width, value.height]
+    : String(value).split(',').map(v => parseFloat(v));
+  if (parts.length !== 4 || parts.some(v => typeof v !== 'number' || isNaN(v))) return null;
+  return { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
+}
+
+// Worst-case contrast over a background stack that contains CSS gradients
+function getGradientContrast(foreground, layerValues, options, compositeOptions) {
+  const { parseGradient, isGradient, sampleGradientContrast } = require('./gradient');
+  const size = options.size ? String(options.size).split('x').map(v => parseFloat(v)) : [100, 100];
+  const box = { width: size[0], height: size[1] };
+  const region = options.region ? parseRegion(options.region) : null;
+
+  const layers = layerValues.map(value => (isGradient(value) ? parseGradient(value, box) : parseColor(value)));
+  if (layers.includes(null) || isNaN(box.width) || isNaN(box.height) || (options.region && !region)) {
+    return null;
+  }
+
+  const sampled = sampleGradientContrast(foreground, layers, {
+    ...compositeOptions,
+    region,
+    samples: options.samples ? parseInt(options.samples, 10) : undefined
+  });
+
+  return {
+    ratio: sampled.min,
+    foreground: sampled.worst.foreground,
+    background: sampled.worst.background,
+    range: null,
+    gradient: sampled
+  };
+}
+
 function main() {
   const options = parseArgs();
 
+  // Palette matrix mode
+  if (options.tokens) {
+    require('./palette').runPalette(options);
+    return;
+  }
+
+  // Stylesheet scan mode
+  if (options.css) {
+    require('./stylesheet').runStylesheetScan(options);
+    return;
+  }
+
   // Handle JSON input
   if (options.json) {
     try {
       const jsonInput = JSON.parse(options.json);
       options.foreground = jsonInput.foreground;
-      options.background = jsonInput.background;
+      options.background = jsonInput.backgrounds || jsonInput.background;
+      options.backdrop = jsonInput.backdrop;
+      options['backdrop-range'] = jsonInput.backdropRange;
       options.type = jsonInput.type || 'text';
+      options.algorithm = jsonInput.algorithm || options.algorithm;
+      options.suggest = jsonInput.suggest || options.suggest;
+      options.target = jsonInput.target || options.target;
+      options.size = jsonInput.size || options.size;
+      options.region = jsonInput.region || options.region;
+      options['font-size'] = jsonInput.fontSize || options['font-size'];
+      options['font-weight'] = jsonInput.fontWeight || options['font-weight'];
+      options['base-font'] = jsonInput.baseFontSize || options['base-font'];
     } catch (e) {
       console.error('Invalid JSON input');
       process.exit(1);
     }
   }
 
-  // Get colors
+  // Get colors; the background may be a stack of layers (colors or gradients), topmost first
   const fgColor = parseColor(options.foreground || options.fg);
-  const bgColor = parseColor(options.background || options.bg);
-
-  if (!fgColor || !bgColor) {
+  const bgValues = splitLayers(options.background || options.bg);
+  const hasGradient = bgValues.some(value => /gradient\(/i.test(value));
+  const bgLayers = hasGradient ? [] : parseColorList(options.background || options.bg);
+  const backdrop = options.backdrop ? parseColor(options.backdrop) : null;
+  const backdropRange = options['backdrop-range'] ? parseColorList(options['backdrop-range']) : null;
+
+  if (!fgColor || bgValues.length === 0 || bgLayers.includes(null) ||
+      (options.backdrop && !backdrop) ||
+      (backdropRange && (backdropRange.length !== 2 || backdropRange.includes(null)))) {
     console.error('Usage: node calculate.js --foreground "#000000" --background "#FFFFFF" [--type text|non-text]');
+    console.error('Colors: hex (#RGB, #RRGGBBAA), named, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color()');
+    console.error('APCA: --algorithm apca reports the WCAG 3 draft Lc value next to the WCAG 2.x ratio');
+    console.error('Text size: --font-size 18pt|24px|1.5rem [--font-weight 400|bold] [--base-font 16px]');
+    console.error('Suggest: --suggest foreground|background|both [--target 4.5] [--count 5]');
+    console.error('Palette: node calculate.js --tokens tokens.json [--format json|csv|markdown|html] [--output file]');
+    console.error('Stylesheets: node calculate.js --css "styles.css,themes/" [--level AA|AAA] [--json]');
+    console.error('Layers: --background "rgba(0,0,0,0.4); #F5F5F5" (topmost first) [--backdrop "#FFF" | --backdrop-range "#FFF;#000"]');
+    console.error('Gradients: --background "linear-gradient(90deg, #FFF, #0B5FFF)" [--size 1200x400] [--region "40,120,600,80"]');
     console.error('Or: node calculate.js --json \'{"foreground": "#000000", "background": "#FFFFFF"}\'');
     process.exit(1);
   }
 
   const type = options.type || 'text';
-  const ratio = getContrastRatio(fgColor, bgColor);
+  const algorithm = options.algorithm || 'wcag2';
+  if (!['wcag2', 'apca'].includes(algorithm)) {
+    console.error('Invalid --algorithm. Supported: wcag2, apca');
+    process.exit(1);
+  }
+
+  if (options.samples !== undefined && !/^[1-9]\d*$/.test(String(options.samples).trim())) {
+    console.error('Invalid --samples. Use a positive whole number of sample points per axis, e.g. --samples 32');
+    process.exit(1);
+  }
+
+  // Font size and weight for a single large-text verdict
+  let font = null;
+  if (options['font-size'] && type !== 'non-text') {
+    const { parseFontSize, toPixels } = loadFontSizeConverter();
+    const size = parseFontSize(String(options['font-size']));
+    const base = options['base-font'] ? parseFontSize(String(options['base-font'])) : null;
+    const weight = parseFontWeight(options['font-weight']);
+    if (!size || weight === null || (options['base-font'] && !base)) {
+      console.error('Invalid --font-size or --font-weight. Examples: --font-size 18pt --font-weight bold, --font-size 1.5rem --font-weight 400');
+      process.exit(1);
+    }
+    const basePx = base ? toPixels(base.value, base.unit) : undefined;
+    font = { input: `${size.value}${size.unit}`, px: toPixels(size.value, size.unit, basePx), weight };
+  }
+
+  const compositeOptions = {
+    backdrop: backdrop ? { ...backdrop, alpha: 1 } : null,
+    backdropRange
+  };
+  const composite = hasGradient
+    ? getGradientContrast(fgColor, bgValues, options, compositeOptions)
+    : getCompositeContrast(fgColor, bgLayers, compositeOptions);
+
+  if (!composite) {
+    console.error('Invalid gradient background. Example: --background "linear-gradient(to right, #FFFFFF 0%, #0B5FFF 100%)" --size 1200x400 --region "40,120,600,80"');
+    console.error('Positions and sizes may use %, px, em/rem (16px), pt, pc, in, cm, mm or Q; viewport units such as vw are not supported');
+    process.exit(1);
+  }
+
+  const ratio = composite.ratio;
   const compliance = checkCompliance(ratio, type);
+  const composited = !hasGradient && (!isOpaque(fgColor) || bgLayers.length > 1 || !isOpaque(bgLayers[0]));
+  const textCheck = font ? checkTextCompliance(ratio, font.px, font.weight) : null;
+  const apca = algorithm === 'apca' ? getApcaResult(composite.foreground, composite.background, ratio) : null;
+  const apcaFont = apca && font ? checkApcaFont(apca.lc, font.px, font.weight) : null;
+  const suggestion = options.suggest ? getSuggestions(composite, ratio, type, options, textCheck) : null;
 
   // Output JSON if requested
   if (options.json) {
-    console.log(JSON.stringify({
+    const result = {
       contrastRatio: Math.round(ratio * 100) / 100,
       compliance,
       colors: {
         foreground: formatColor(fgColor),
-        background: formatColor(bgColor)
+        background: hasGradient
+          ? (bgValues.length === 1 ? bgValues[0] : bgValues)
+          : (bgLayers.length === 1 ? formatColor(bgLayers[0]) : bgLayers.map(formatColor))
+      }
+    };
+
+    if (composite.gradient) {
+      const { min, max, mean, worst, region, samples } = composite.gradient;
+      result.gradient = {
+        region,
+        samples,
+        minContrastRatio: Math.round(min * 100) / 100,
+        maxContrastRatio: Math.round(max * 100) / 100,
+        meanContrastRatio: Math.round(mean * 100) / 100,
+        worstPoint: {
+          x: Math.round(worst.x * 10) / 10,
+          y: Math.round(worst.y * 10) / 10,
+          foreground: formatColor(worst.foreground),
+          background: formatColor(worst.background)
+        }
+      };
+    }
+
+    if (textCheck) {
+      result.text = {
+        fontSize: font.input,
+        fontSizePx: Math.round(font.px * 100) / 100,
+        fontWeight: font.weight,
+        largeText: textCheck.largeText,
+        required: textCheck.required,
+        verdict: { AA: textCheck.AA, AAA: textCheck.AAA }
+      };
+    }
+
+    if (composited) {
+      result.effectiveColors = {
+        foreground: formatColor(composite.foreground),
+        background: formatColor(composite.background)
+      };
+    }
+
+    if (composite.range) {
+      result.worstCase = {
+        backdropRange: [formatColor(composite.range.from), formatColor(composite.range.to)],
+        minContrastRatio: Math.round(composite.range.min * 100) / 100,
+        maxContrastRatio: Math.round(composite.range.max * 100) / 100,
+        worstBackdrop: formatColor(composite.range.worstBackdrop)
+      };
+    }
+
+    if (apca) {
+      result.apca = {
+        lc: Math.round(apca.lc * 10) / 10,
+        polarity: apca.polarity,
+        usage: apca.level.usage,
+        minimumFontSize: apca.minimumFontSize,
+        comparison: apca.comparison
+      };
+      if (apcaFont) {
+        result.apca.font = apcaFont;
       }
-    }, null, 2));
+    }
+
+    if (suggestion) {
+      result.suggestions = {
+        adjust: suggestion.adjust,
+        target: suggestion.target,
+        candidates: suggestion.candidates.map(c => ({
+          foreground: formatHex(c.foreground),
+          background: formatHex(c.background),
+          contrastRatio: Math.round(c.ratio * 100) / 100,
+          deltaE: Math.round(c.deltaE * 10) / 10
+        }))
+      };
+    }
+
+    console.log(JSON.stringify(result, null, 2));
     return;
   }
 
   // Human-readable output
-  console.log(`Contrast Ratio: ${Math.round(ratio * 100) / 100}:1`);
+  if (composited) {
+    console.log(`Effective foreground: ${formatColor(composite.foreground)}`);
+    console.log(`Effective background: ${formatColor(composite.background)}`);
+  }
+
+  if (composite.gradient) {
+    const { min, max, mean, worst, region, samples } = composite.gradient;
+    const round = (value) => Math.round(value * 100) / 100;
+    console.log(`Gradient region: ${round(region.width)}x${round(region.height)}px at (${round(region.x)}, ${round(region.y)}), ${samples} samples`);
+    console.log(`Contrast across region: min ${round(min)}:1, max ${round(max)}:1, mean ${round(mean)}:1`);
+    console.log(`Worst point: (${round(worst.x)}, ${round(worst.y)}) - ${formatColor(worst.foreground)} on ${formatColor(worst.background)}`);
+  }
+
+  if (composite.range) {
+    const { min, max, worstBackdrop } = composite.range;
+    console.log(`Backdrop unknown: contrast ranges from ${Math.round(min * 100) / 100}:1 to ${Math.round(max * 100) / 100}:1`);
+    console.log(`Worst case over backdrop ${formatColor(worstBackdrop)}`);
+  }
+
+  console.log(`Contrast Ratio: ${Math.round(ratio * 100) / 100}:1${composite.gradient ? ' (worst case)' : ''}`);
 
   if (type === 'non-text') {
     console.log(compliance.AA ? '✅ Non-text contrast: PASS' : '❌ Non-text contrast: FAIL');
+  } else if (textCheck) {
+    const pxLabel = `${Math.round(font.px * 100) / 100}px`;
+    console.log(`Text: ${font.input}${font.input === pxLabel ? '' : ` (${pxLabel})`}, weight ${font.weight} - ${textCheck.largeText ? 'large text' : 'normal text'}`);
+    console.log(textCheck.AA ? `✅ AA: PASS (${textCheck.required.AA}:1 required)` : `❌ AA: FAIL (${textCheck.required.AA}:1 required)`);
+    console.log(textCheck.AAA ? `✅ AAA: PASS (${textCheck.required.AAA}:1 required)` : `❌ AAA: FAIL (${textCheck.required.AAA}:1 required)`);
   } else {
     console.log(compliance.AA.normal ? '✅ AA Normal Text: PASS' : '❌ AA Normal Text: FAIL');
     console.log(compliance.AA.large ? '✅ AA Large Text: PASS' : '❌ AA Large Text: FAIL');
     console.log(compliance.AAA.normal ? '✅ AAA Normal Text: PASS' : '❌ AAA Normal Text: FAIL');
     console.log(compliance.AAA.large ? '✅ AAA Large Text: PASS' : '❌ AAA Large Text: FAIL');
   }
-}
 
-if (require.main === module) {
-  main();
+  if (apca) {
+    console.log('');
+    console.log(`APCA Lc: ${Math.round(apca.lc * 10) / 10} (${apca.polarity})`);
+    console.log(`APCA usage: ${apca.level.usage}`);
+    const sizes = Object.entries(apca.minimumFontSize)
+      .filter(([, size]) => size !== null)
+      .map(([weight, size]) => `${weight}: ${size}px`);
+    console.log(`APCA minimum font size by weight: ${sizes.length > 0 ? sizes.join(', ') : 'no text allowed'}`);
+    if (apcaFont) {
+      const required = apcaFont.minimumSize === null ? 'no text allowed' : `${apcaFont.minimumSize}px required at weight ${apcaFont.weight}`;
+      console.log(apcaFont.pass ? `✅ APCA font: PASS (${required})` : `❌ APCA font: FAIL (${required})`);
+    }
+    apca.comparison.forEach(c => {
+      const marker = c.agree ? '✅' : '⚠️ ';
+      console.log(`${marker} ${c.label}: WCAG 2.x ${c.wcag2 ? 'PASS' : 'FAIL'}, APCA ${c.apca ? 'PASS' : 'FAIL'}${c.agree ? '' : ' (models disagree)'}`);
+    });
+  }
+
+  if (suggestion) {
+    console.log('');
+    if (ratio >= suggestion.target) {
+      console.log(`Already meets ${suggestion.target}:1 - no suggestions needed`);
+    } else if (suggestion.candidates.length === 0) {
+      console.log(`No ${suggestion.adjust} color reaches ${suggestion.target}:1 - try --suggest both`);
+    } else {
+      console.log(`Suggestions (${suggestion.adjust} adjusted to reach ${suggestion.target}:1, closest first):`);
+      suggestion.candidates.forEach(c => {
+        console.log(`- ${formatHex(c.foreground)} on ${formatHex(c.background)}: ${Math.round(c.ratio * 100) / 100}:1 (ΔE ${Math.round(c.deltaE * 10) / 10})`);
+      });
+    }
+  }
 }
 
+// The helper modules (suggest, gradient, palette, stylesheet) require this file back, so
+// they are required inside the functions that use them and the exports are set before
+// main() runs. CLI scripts with helpers that import them (simulate.js in the
+// color-blindness skill, check.js in the target-size skill) follow the same layout.
 module.exports = {
   parseColor,
   getRelativeLuminance,
   getContrastRatio,
-  checkCompliance
-};
\ No newline at end of file
+  getEffectiveColors,
+  getCompositeContrast,
+  getApcaResult,
+  checkCompliance,
+  checkTextCompliance,
+  isLargeText,
+  parseFontWeight,
+  loadFontSizeConverter
+};
+
+if (require.main === module) {
+  main();
+}
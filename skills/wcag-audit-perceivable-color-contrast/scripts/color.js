@@ -0,0 +1,568 @@
+/**
+ * CSS Color Parser
+ * Parses CSS Color Level 4 syntax and maps it into the sRGB gamut
+ */
+
+// CSS named colors (CSS Color Level 4, section 6.1)
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// D50 reference white used by CIE Lab/LCH in CSS
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// Conversion matrices from CSS Color Level 4, section 18
+const MATRICES = {
+  linearSrgbToXyz: [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+  ],
+  xyzToLinearSrgb: [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+  linearP3ToXyz: [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ],
+  d50ToD65: [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ],
+  d65ToD50: [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+  ],
+  linearSrgbToLms: [
+    [0.4122214708, 0.5363325363, 0.0514459929],
+    [0.2119034982, 0.6806995451, 0.1073969566],
+    [0.0883024619, 0.2817188376, 0.6299787005]
+  ],
+  lmsToOklab: [
+    [0.2104542553, 0.7936177850, -0.0040720468],
+    [1.9779984951, -2.4285922050, 0.4505937099],
+    [0.0259040371, 0.7827717662, -0.8086757660]
+  ],
+  oklabToLms: [
+    [1, 0.3963377774, 0.2158037573],
+    [1, -0.1055613458, -0.0638541728],
+    [1, -0.0894841775, -1.2914855480]
+  ],
+  lmsToLinearSrgb: [
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.7076147010]
+  ]
+};
+
+// Just-noticeable difference used by the CSS gamut mapping algorithm
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+// sRGB transfer function (sign-preserving so out-of-gamut values survive the round trip)
+function srgbToLinear(value) {
+  const abs = Math.abs(value);
+  const linear = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+  return Math.sign(value) * linear;
+}
+
+function linearToSrgb(value) {
+  const abs = Math.abs(value);
+  const encoded = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+  return Math.sign(value) * encoded;
+}
+
+// Convert gamma-encoded sRGB (0-1) to OKLab
+function srgbToOklab(rgb) {
+  const lms = multiply(MATRICES.linearSrgbToLms, rgb.map(srgbToLinear));
+  return multiply(MATRICES.lmsToOklab, lms.map(Math.cbrt));
+}
+
+// Convert OKLab to gamma-encoded sRGB (0-1, may be out of gamut)
+function oklabToSrgb(lab) {
+  const lms = multiply(MATRICES.oklabToLms, lab).map(v => v * v * v);
+  return multiply(MATRICES.lmsToLinearSrgb, lms).map(linearToSrgb);
+}
+
+function labToLch([L, a, b]) {
+  const hue = Math.atan2(b, a) * 180 / Math.PI;
+  return [L, Math.sqrt(a * a + b * b), (hue + 360) % 360];
+}
+
+function lchToLab([L, C, H]) {
+  const radians = H * Math.PI / 180;
+  return [L, Math.max(0, C) * Math.cos(radians), Math.max(0, C) * Math.sin(radians)];
+}
+
+function srgbToOklch(rgb) {
+  return labToLch(srgbToOklab(rgb));
+}
+
+function oklchToSrgb(lch) {
+  return oklabToSrgb(lchToLab(lch));
+}
+
+// Convert CIE Lab (D50) to gamma-encoded sRGB (0-1, may be out of gamut)
+function cieLabToSrgb([L, a, b]) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+
+  const xyz = [
+    Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+    L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa,
+    Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa
+  ].map((v, i) => v * D50_WHITE[i]);
+
+  const linear = multiply(MATRICES.xyzToLinearSrgb, multiply(MATRICES.d50ToD65, xyz));
+  return linear.map(linearToSrgb);
+}
+
+// Convert gamma-encoded sRGB (0-1) to CIE Lab (D50)
+function srgbToCieLab(rgb) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const xyz = multiply(MATRICES.d65ToD50, multiply(MATRICES.linearSrgbToXyz, rgb.map(srgbToLinear)));
+  const f = xyz.map((v, i) => {
+    const scaled = v / D50_WHITE[i];
+    return scaled > epsilon ? Math.cbrt(scaled) : (kappa * scaled + 16) / 116;
+  });
+
+  return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+}
+
+function isInSrgbGamut(rgb) {
+  return rgb.every(v => v >= -0.00001 && v <= 1.00001);
+}
+
+function clip(rgb) {
+  return rgb.map(v => Math.max(0, Math.min(1, v)));
+}
+
+// Euclidean distance in OKLab (deltaE OK)
+function deltaEOK(rgb1, rgb2) {
+  const lab1 = srgbToOklab(rgb1);
+  const lab2 = srgbToOklab(rgb2);
+  return Math.sqrt(lab1.reduce((sum, v, i) => sum + Math.pow(v - lab2[i], 2), 0));
+}
+
+// CIEDE2000 color difference between two gamma-encoded sRGB colors (0-1)
+function deltaE2000(rgb1, rgb2) {
+  const [L1, a1, b1] = srgbToCieLab(rgb1);
+  const [L2, a2, b2] = srgbToCieLab(rgb2);
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const pow7 = (v) => Math.pow(v, 7);
+
+  const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(pow7(Cbar) / (pow7(Cbar) + pow7(25))));
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) * 180 / Math.PI;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(radians(dhp / 2));
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hbarp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    } else {
+      hbarp = (h1p + h2p) / 2;
+    }
+  }
+
+  const T = 1 - 0.17 * Math.cos(radians(hbarp - 30)) + 0.24 * Math.cos(radians(2 * hbarp)) +
+    0.32 * Math.cos(radians(3 * hbarp + 6)) - 0.20 * Math.cos(radians(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(pow7(Cbarp) / (pow7(Cbarp) + pow7(25)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(radians(2 * dTheta)) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) + Math.pow(dCp / Sc, 2) + Math.pow(dHp / Sh, 2) + Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+// Map an out-of-gamut color into sRGB using the CSS Color Level 4 algorithm:
+// reduce OKLCH chroma at constant lightness and hue until clipping is imperceptible
+function gamutMapSrgb(rgb) {
+  if (isInSrgbGamut(rgb)) return clip(rgb);
+
+  const [L, C, H] = srgbToOklch(rgb);
+  if (L >= 1) return [1, 1, 1];
+  if (L <= 0) return [0, 0, 0];
+
+  let min = 0;
+  let max = C;
+  let minInGamut = true;
+  let current = oklchToSrgb([L, C, H]);
+  let clipped = clip(current);
+
+  if (deltaEOK(clipped, current) < GAMUT_JND) return clipped;
+
+  while (max - min > GAMUT_EPSILON) {
+    const chroma = (min + max) / 2;
+    current = oklchToSrgb([L, chroma, H]);
+
+    if (minInGamut && isInSrgbGamut(current)) {
+      min = chroma;
+      continue;
+    }
+
+    clipped = clip(current);
+    const deltaE = deltaEOK(clipped, current);
+    if (deltaE < GAMUT_JND) {
+      if (GAMUT_JND - deltaE < GAMUT_EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+
+  return clipped;
+}
+
+// Parse a numeric token; percentages are scaled against `percentReference`
+function parseNumber(token, percentReference = 1) {
+  if (token === 'none') return 0;
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%)?$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return match[2] ? (value / 100) * percentReference : value;
+}
+
+// Parse a hue token (unitless degrees, deg, rad, grad, turn)
+function parseHue(token) {
+  if (token === 'none') return 0;
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'rad':
+      return value * 180 / Math.PI;
+    case 'grad':
+      return value * 0.9;
+    case 'turn':
+      return value * 360;
+    default:
+      return value;
+  }
+}
+
+function parseAlpha(token) {
+  if (token === undefined) return 1;
+  const alpha = parseNumber(token, 1);
+  return alpha === null ? null : Math.max(0, Math.min(1, alpha));
+}
+
+// Split function arguments into components and alpha (legacy comma or modern space syntax)
+function splitArguments(body) {
+  if (body.includes(',')) {
+    const parts = body.split(',').map(p => p.trim());
+    if (parts.some(p => p === '' || /\s/.test(p))) return null;
+    return { components: parts.slice(0, 3), alpha: parts[3], extra: parts.slice(4) };
+  }
+
+  const [main, alpha, ...rest] = body.split('/').map(p => p.trim());
+  if (rest.length > 0 || alpha === '') return null;
+  return { components: main.split(/\s+/).filter(Boolean), alpha, extra: [] };
+}
+
+function hslToSrgb(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  s = Math.max(0, Math.min(1, s));
+  l = Math.max(0, Math.min(1, l));
+
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+
+  return [f(0), f(8), f(4)];
+}
+
+function hwbToSrgb(h, w, b) {
+  w = Math.max(0, w);
+  b = Math.max(0, b);
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return [gray, gray, gray];
+  }
+
+  return hslToSrgb(h, 1, 0.5).map(v => v * (1 - w - b) + w);
+}
+
+// Component parsers for each CSS color function; each returns gamma-encoded sRGB (0-1)
+const COLOR_FUNCTIONS = {
+  rgb([r, g, b]) {
+    const values = [r, g, b].map(v => parseNumber(v, 255));
+    if (values.includes(null)) return null;
+    return clip(values.map(v => v / 255));
+  },
+  hsl([h, s, l]) {
+    const hue = parseHue(h);
+    const sat = parseNumber(s, 100);
+    const light = parseNumber(l, 100);
+    if ([hue, sat, light].includes(null)) return null;
+    return hslToSrgb(hue, sat / 100, light / 100);
+  },
+  hwb([h, w, b]) {
+    const hue = parseHue(h);
+    const white = parseNumber(w, 100);
+    const black = parseNumber(b, 100);
+    if ([hue, white, black].includes(null)) return null;
+    return hwbToSrgb(hue, white / 100, black / 100);
+  },
+  lab([l, a, b]) {
+    const values = [parseNumber(l, 100), parseNumber(a, 125), parseNumber(b, 125)];
+    if (values.includes(null)) return null;
+    return cieLabToSrgb([Math.max(0, values[0]), values[1], values[2]]);
+  },
+  lch([l, c, h]) {
+    const values = [parseNumber(l, 100), parseNumber(c, 150), parseHue(h)];
+    if (values.includes(null)) return null;
+    return cieLabToSrgb(lchToLab([Math.max(0, values[0]), values[1], values[2]]));
+  },
+  oklab([l, a, b]) {
+    const values = [parseNumber(l, 1), parseNumber(a, 0.4), parseNumber(b, 0.4)];
+    if (values.includes(null)) return null;
+    return oklabToSrgb([Math.max(0, values[0]), values[1], values[2]]);
+  },
+  oklch([l, c, h]) {
+    const values = [parseNumber(l, 1), parseNumber(c, 0.4), parseHue(h)];
+    if (values.includes(null)) return null;
+    return oklchToSrgb([Math.max(0, values[0]), values[1], values[2]]);
+  }
+};
+
+COLOR_FUNCTIONS.rgba = COLOR_FUNCTIONS.rgb;
+COLOR_FUNCTIONS.hsla = COLOR_FUNCTIONS.hsl;
+
+// Predefined color spaces accepted by color()
+const COLOR_SPACES = {
+  srgb: rgb => rgb,
+  'srgb-linear': rgb => rgb.map(linearToSrgb),
+  'display-p3': rgb => multiply(MATRICES.xyzToLinearSrgb, multiply(MATRICES.linearP3ToXyz, rgb.map(srgbToLinear))).map(linearToSrgb),
+  xyz: xyz => multiply(MATRICES.xyzToLinearSrgb, xyz).map(linearToSrgb),
+  'xyz-d65': xyz => multiply(MATRICES.xyzToLinearSrgb, xyz).map(linearToSrgb),
+  'xyz-d50': xyz => multiply(MATRICES.xyzToLinearSrgb, multiply(MATRICES.d50ToD65, xyz)).map(linearToSrgb)
+};
+
+function parseColorFunction(name, body) {
+  if (name === 'color') {
+    const [main, alpha, ...rest] = body.split('/').map(p => p.trim());
+    if (rest.length > 0 || alpha === '') return null;
+    const [space, ...tokens] = main.split(/\s+/);
+    const convert = COLOR_SPACES[space];
+    const values = tokens.map(t => parseNumber(t, 1));
+    if (!convert || values.length !== 3 || values.includes(null)) return null;
+    return { rgb: convert(values), alpha: parseAlpha(alpha) };
+  }
+
+  const parser = COLOR_FUNCTIONS[name];
+  const args = parser ? splitArguments(body) : null;
+  if (!args || args.components.length !== 3 || args.extra.length > 0) return null;
+
+  return { rgb: parser(args.components), alpha: parseAlpha(args.alpha) };
+}
+
+function parseHex(hex) {
+  if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+
+  // #RGB(A) -> #RRGGBB(AA)
+  const full = hex.length <= 4 ? hex.split('').map(c => c + c).join('') : hex;
+  const channels = full.match(/../g).map(pair => parseInt(pair, 16));
+
+  return {
+    r: channels[0],
+    g: channels[1],
+    b: channels[2],
+    alpha: channels.length === 4 ? channels[3] / 255 : 1
+  };
+}
+
+// Build an 8-bit sRGB color object, gamut mapping values outside sRGB
+function toColor(rgb, alpha = 1) {
+  const mapped = gamutMapSrgb(rgb);
+  return {
+    r: Math.round(mapped[0] * 255),
+    g: Math.round(mapped[1] * 255),
+    b: Math.round(mapped[2] * 255),
+    alpha
+  };
+}
+
+// Parse a CSS color string into { r, g, b, alpha } with 8-bit sRGB channels
+function parseColor(color) {
+  if (!color || typeof color !== 'string') return null;
+
+  // Remove surrounding spaces and convert to lowercase
+  color = color.trim().toLowerCase();
+
+  // Hex format (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
+  if (color.startsWith('#')) {
+    return parseHex(color.slice(1));
+  }
+
+  // Named colors
+  if (color === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+  if (NAMED_COLORS[color]) {
+    return parseHex(NAMED_COLORS[color].slice(1));
+  }
+
+  // Functional notation: rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color()
+  const match = color.match(/^([a-z0-9-]+)\(\s*(.*?)\s*\)$/);
+  if (!match) return null;
+
+  const parsed = parseColorFunction(match[1], match[2]);
+  if (!parsed || !parsed.rgb || parsed.alpha === null) return null;
+
+  return toColor(parsed.rgb, parsed.alpha);
+}
+
+// Convert an 8-bit color object to gamma-encoded sRGB (0-1)
+function colorToSrgb(color) {
+  return [color.r / 255, color.g / 255, color.b / 255];
+}
+
+// Composite `top` over `bottom` with the source-over operator in gamma-encoded sRGB,
+// rounding to 8 bits per channel like a browser's compositor
+function compositeColors(top, bottom) {
+  const topAlpha = top.alpha === undefined ? 1 : top.alpha;
+  const bottomAlpha = bottom.alpha === undefined ? 1 : bottom.alpha;
+  const alpha = topAlpha + bottomAlpha * (1 - topAlpha);
+
+  if (alpha === 0) {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+
+  const blend = (t, b) => Math.round((t * topAlpha + b * bottomAlpha * (1 - topAlpha)) / alpha);
+  return {
+    r: blend(top.r, bottom.r),
+    g: blend(top.g, bottom.g),
+    b: blend(top.b, bottom.b),
+    alpha
+  };
+}
+
+// Flatten background layers ordered topmost first (CSS background order) into one color
+function flattenLayers(layers) {
+  return layers.reduceRight((below, layer) => (below ? compositeColors(layer, below) : layer), null);
+}
+
+// Interpolate between two colors in gamma-encoded sRGB (t = 0 returns `from`)
+function mixColors(from, to, t) {
+  const mix = (a, b) => Math.round(a + (b - a) * t);
+  const fromAlpha = from.alpha === undefined ? 1 : from.alpha;
+  const toAlpha = to.alpha === undefined ? 1 : to.alpha;
+  return {
+    r: mix(from.r, to.r),
+    g: mix(from.g, to.g),
+    b: mix(from.b, to.b),
+    alpha: fromAlpha + (toAlpha - fromAlpha) * t
+  };
+}
+
+function formatHex(color) {
+  const channels = [color.r, color.g, color.b];
+  if (color.alpha !== undefined && color.alpha < 1) {
+    channels.push(Math.round(color.alpha * 255));
+  }
+  return `#${channels.map(c => c.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+module.exports = {
+  parseColor,
+  toColor,
+  colorToSrgb,
+  formatHex,
+  compositeColors,
+  flattenLayers,
+  mixColors,
+  srgbToLinear,
+  linearToSrgb,
+  srgbToOklab,
+  oklabToSrgb,
+  srgbToOklch,
+  oklchToSrgb,
+  srgbToCieLab,
+  cieLabToSrgb,
+  gamutMapSrgb,
+  isInSrgbGamut,
+  deltaEOK,
+  deltaE2000,
+  NAMED_COLORS
+};
@@ -0,0 +1,350 @@
+/**
+ * Gradient Contrast Sampler
+ * Parses CSS linear/radial gradients and measures contrast across a text region
+ */
+
+const { parseColor } = require('./color');
+const { getCompositeContrast } = require('./calculate');
+
+const DEFAULT_BOX = { width: 100, height: 100 };
+const DEFAULT_SAMPLES = 32; // sample points per axis across the text region
+
+// CSS px per unit; em and rem resolve against the 16px browser default font size.
+// Viewport and font-relative units without a fixed reference (vw, ch, ex...) are rejected.
+const LENGTH_UNITS = { px: 1, em: 16, rem: 16, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6 };
+
+const SIDE_KEYWORDS = {
+  top: { x: 0, y: -1 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+function isGradient(value) {
+  return typeof value === 'string' && /^\s*(repeating-)?(linear|radial)-gradient\(/i.test(value);
+}
+
+// Split on a separator that is not nested inside parentheses
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts;
+}
+
+// Parse a length or percentage in px; percentages resolve against `reference` px
+function parseLength(token, reference) {
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+))(%|[a-z]+)?$/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const unit = match[2] ? match[2].toLowerCase() : null;
+  if (unit === '%') return (value / 100) * reference;
+  if (LENGTH_UNITS[unit]) return value * LENGTH_UNITS[unit];
+  return value === 0 && !unit ? 0 : null;
+}
+
+function parseAngle(token) {
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+))(deg|rad|grad|turn)$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'rad':
+      return value * 180 / Math.PI;
+    case 'grad':
+      return value * 0.9;
+    case 'turn':
+      return value * 360;
+    default:
+      return value;
+  }
+}
+
+// Split "<color> [<position> [<position>]]" where the color may contain spaces
+function parseColorStop(stop) {
+  const functional = stop.match(/^([a-z-]+\([^)]*\))\s*(.*)$/i);
+  const [colorText, rest] = functional
+    ? [functional[1], functional[2]]
+    : [stop.split(/\s+/)[0], stop.split(/\s+/).slice(1).join(' ')];
+
+  const color = parseColor(colorText);
+  if (!color) return null;
+
+  return { color, positions: rest ? rest.split(/\s+/) : [] };
+}
+
+// Gradient line angle (CSS degrees, 0 = to top, clockwise) from a direction argument
+function parseLinearDirection(token, box) {
+  const angle = parseAngle(token);
+  if (angle !== null) return angle;
+
+  const match = token.match(/^to\s+(.+)$/);
+  if (!match) return null;
+
+  const sides = match[1].split(/\s+/).map(side => SIDE_KEYWORDS[side]);
+  if (sides.length === 0 || sides.length > 2 || sides.includes(undefined)) return null;
+
+  const dx = sides.reduce((sum, side) => sum + side.x, 0);
+  const dy = sides.reduce((sum, side) => sum + side.y, 0);
+  if (sides.length === 2 && (dx === 0 || dy === 0)) return null;
+
+  if (sides.length === 1) return Math.atan2(dx, -dy) * 180 / Math.PI;
+
+  // Corners: the gradient line is perpendicular to the diagonal through the other two corners
+  return Math.atan2(dx * box.height, -dy * box.width) * 180 / Math.PI;
+}
+
+function parsePosition(tokens, box) {
+  const keywordX = { left: 0, center: 0.5, right: 1 };
+  const keywordY = { top: 0, center: 0.5, bottom: 1 };
+  let [xToken, yToken] = tokens;
+
+  // Allow "top left" as well as "left top"
+  if (keywordY[xToken] !== undefined && keywordX[xToken] === undefined) {
+    [xToken, yToken] = [yToken, xToken];
+  }
+
+  const x = xToken === undefined ? box.width / 2
+    : keywordX[xToken] !== undefined ? keywordX[xToken] * box.width : parseLength(xToken, box.width);
+  const y = yToken === undefined ? box.height / 2
+    : keywordY[yToken] !== undefined ? keywordY[yToken] * box.height : parseLength(yToken, box.height);
+
+  return x === null || y === null ? null : { x, y };
+}
+
+// Radial gradient ending shape radii for a size keyword or explicit lengths
+function getRadialRadii(shape, size, center, box) {
+  const sidesX = [center.x, box.width - center.x];
+  const sidesY = [center.y, box.height - center.y];
+  const corners = [0, 1].flatMap(i => [0, 1].map(j => Math.hypot(sidesX[i], sidesY[j])));
+
+  if (Array.isArray(size)) {
+    const rx = parseLength(size[0], box.width);
+    const ry = size.length > 1 ? parseLength(size[1], box.height) : rx;
+    return rx === null || ry === null ? null : { rx, ry };
+  }
+
+  const closestX = Math.min(...sidesX);
+  const closestY = Math.min(...sidesY);
+  const farthestX = Math.max(...sidesX);
+  const farthestY = Math.max(...sidesY);
+
+  if (shape === 'circle') {
+    const radius = {
+      'closest-side': Math.min(closestX, closestY),
+      'farthest-side': Math.max(farthestX, farthestY),
+      'closest-corner': Math.min(...corners),
+      'farthest-corner': Math.max(...corners)
+    }[size];
+    return { rx: radius, ry: radius };
+  }
+
+  return {
+    'closest-side': { rx: closestX, ry: closestY },
+    'farthest-side': { rx: farthestX, ry: farthestY },
+    'closest-corner': { rx: closestX * Math.SQRT2, ry: closestY * Math.SQRT2 },
+    'farthest-corner': { rx: farthestX * Math.SQRT2, ry: farthestY * Math.SQRT2 }
+  }[size];
+}
+
+function parseRadialPrelude(prelude, box) {
+  const [shapePart, positionPart] = prelude.split(/\bat\b/).map(p => (p || '').trim());
+  const tokens = shapePart ? shapePart.split(/\s+/) : [];
+  const shape = tokens.includes('circle') ? 'circle' : 'ellipse';
+  const sizeTokens = tokens.filter(t => t !== 'circle' && t !== 'ellipse');
+  const keyword = sizeTokens.find(t => /^(closest|farthest)-(side|corner)$/.test(t));
+  const size = keyword || (sizeTokens.length > 0 ? sizeTokens : 'farthest-corner');
+
+  const center = parsePosition(positionPart ? positionPart.split(/\s+/) : [], box);
+  if (!center) return null;
+
+  const radii = getRadialRadii(shape, size, center, box);
+  return radii ? { shape, center, ...radii } : null;
+}
+
+// Resolve color stop positions to gradient-line fractions (CSS Images 3 fix-up rules);
+// null when a position is not a length this module can resolve
+function resolveStops(rawStops, lineLength) {
+  const stops = [];
+  const resolved = rawStops.every(stop => {
+    const positions = stop.positions.length > 0 ? stop.positions : [null];
+    return positions.every(position => {
+      const px = position === null ? null : parseLength(position, lineLength);
+      if (position !== null && px === null) return false;
+      stops.push({ color: stop.color, position: px === null ? null : px / lineLength });
+      return true;
+    });
+  });
+  if (!resolved) return null;
+
+  if (stops[0].position === null) stops[0].position = 0;
+  if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+
+  // Positions may not decrease
+  let max = stops[0].position;
+  stops.forEach(stop => {
+    if (stop.position !== null) {
+      stop.position = Math.max(stop.position, max);
+      max = stop.position;
+    }
+  });
+
+  // Spread runs of unpositioned stops evenly between their neighbours
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].position !== null) continue;
+    let end = i;
+    while (stops[end].position === null) end++;
+    const start = stops[i - 1].position;
+    const step = (stops[end].position - start) / (end - i + 1);
+    for (let j = i; j < end; j++) {
+      stops[j].position = start + step * (j - i + 1);
+    }
+  }
+
+  return stops;
+}
+
+// Parse a CSS gradient for a box of { width, height } px
+function parseGradient(value, box = DEFAULT_BOX) {
+  const match = value.trim().toLowerCase().match(/^(repeating-)?(linear|radial)-gradient\((.*)\)$/);
+  if (!match) return null;
+
+  const repeating = Boolean(match[1]);
+  const kind = match[2];
+  const args = splitTopLevel(match[3], ',');
+
+  let geometry;
+  if (kind === 'linear') {
+    const angle = parseLinearDirection(args[0], box);
+    if (angle !== null) args.shift();
+    const degrees = angle === null ? 180 : angle;
+    const radians = degrees * Math.PI / 180;
+    geometry = {
+      angle: degrees,
+      length: Math.abs(box.width * Math.sin(radians)) + Math.abs(box.height * Math.cos(radians))
+    };
+  } else {
+    const hasPrelude = /\b(circle|ellipse|closest|farthest|at)\b/.test(args[0]) || !parseColorStop(args[0]);
+    geometry = parseRadialPrelude(hasPrelude ? args.shift() : '', box);
+    if (!geometry) return null;
+    geometry.length = geometry.rx;
+  }
+
+  // Color stops; bare positions are interpolation hints and are ignored
+  const rawStops = args.filter(arg => parseLength(arg, 1) === null).map(parseColorStop);
+  if (rawStops.length < 2 || rawStops.includes(null)) return null;
+
+  const stops = resolveStops(rawStops, geometry.length || 1);
+  if (!stops) return null;
+
+  return {
+    type: kind,
+    repeating,
+    box,
+    ...geometry,
+    stops
+  };
+}
+
+// Position (0 = start, 1 = end of the gradient line) of a point inside the box
+function getGradientPosition(gradient, x, y) {
+  if (gradient.type === 'linear') {
+    const radians = gradient.angle * Math.PI / 180;
+    const dx = x - gradient.box.width / 2;
+    const dy = y - gradient.box.height / 2;
+    return (dx * Math.sin(radians) - dy * Math.cos(radians)) / gradient.length + 0.5;
+  }
+
+  const dx = (x - gradient.center.x) / (gradient.rx || 1e-9);
+  const dy = (y - gradient.center.y) / (gradient.ry || 1e-9);
+  return Math.hypot(dx, dy);
+}
+
+// Interpolate two stops in premultiplied sRGB, as browsers do for legacy color gradients
+function interpolateStops(from, to, t) {
+  const fromAlpha = from.alpha === undefined ? 1 : from.alpha;
+  const toAlpha = to.alpha === undefined ? 1 : to.alpha;
+  const alpha = fromAlpha + (toAlpha - fromAlpha) * t;
+  const channel = (a, b) => {
+    if (alpha === 0) return 0;
+    const premultiplied = a * fromAlpha + (b * toAlpha - a * fromAlpha) * t;
+    return Math.round(premultiplied / alpha);
+  };
+
+  return { r: channel(from.r, to.r), g: channel(from.g, to.g), b: channel(from.b, to.b), alpha };
+}
+
+// Color of the gradient at a point inside the box
+function getGradientColor(gradient, x, y) {
+  const stops = gradient.stops;
+  let t = getGradientPosition(gradient, x, y);
+
+  if (gradient.repeating) {
+    const first = stops[0].position;
+    const span = stops[stops.length - 1].position - first;
+    if (span > 0) t = first + ((((t - first) % span) + span) % span);
+  }
+
+  if (t <= stops[0].position) return stops[0].color;
+  if (t >= stops[stops.length - 1].position) return stops[stops.length - 1].color;
+
+  const index = stops.findIndex(stop => stop.position >= t);
+  const from = stops[index - 1];
+  const to = stops[index];
+  const span = to.position - from.position;
+
+  return span === 0 ? to.color : interpolateStops(from.color, to.color, (t - from.position) / span);
+}
+
+// Sample contrast between a foreground and a layer stack (colors and/or gradients,
+// topmost first) across a text region { x, y, width, height } of the box
+function sampleGradientContrast(foreground, layers, options = {}) {
+  const region = options.region || { x: 0, y: 0, ...layers.find(l => l.stops).box };
+  const samples = options.samples || DEFAULT_SAMPLES;
+  const points = [];
+
+  for (let i = 0; i < samples; i++) {
+    for (let j = 0; j < samples; j++) {
+      const x = region.x + (samples === 1 ? region.width / 2 : (region.width * i) / (samples - 1));
+      const y = region.y + (samples === 1 ? region.height / 2 : (region.height * j) / (samples - 1));
+      const colors = layers.map(layer => (layer.stops ? getGradientColor(layer, x, y) : layer));
+      const contrast = getCompositeContrast(foreground, colors, options);
+      points.push({ x, y, ratio: contrast.ratio, foreground: contrast.foreground, background: contrast.background });
+    }
+  }
+
+  const worst = points.reduce((a, b) => (b.ratio < a.ratio ? b : a));
+  const best = points.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+
+  return {
+    min: worst.ratio,
+    max: best.ratio,
+    mean: points.reduce((sum, p) => sum + p.ratio, 0) / points.length,
+    worst,
+    best,
+    region,
+    samples: points.length
+  };
+}
+
+module.exports = {
+  isGradient,
+  parseGradient,
+  getGradientColor,
+  sampleGradientContrast,
+  splitTopLevel
+};
@@ -0,0 +1,239 @@
+/**
+ * Palette Contrast Matrix
+ * Builds a foreground/background contrast matrix from a design token file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColor } = require('./color');
+const { getCompositeContrast, checkCompliance } = require('./calculate');
+
+const MATRIX_FORMATS = ['json', 'csv', 'markdown', 'html'];
+
+// Follow a token alias like "{color.brand.primary}" or "{color.brand.primary.value}"
+function resolveAlias(value, lookup, seen = new Set()) {
+  const match = typeof value === 'string' && value.trim().match(/^\{([^}]+)\}$/);
+  if (!match) return value;
+
+  const reference = match[1].replace(/\.(\$?value)$/, '');
+  if (seen.has(reference) || !(reference in lookup)) return null;
+
+  seen.add(reference);
+  return resolveAlias(lookup[reference], lookup, seen);
+}
+
+// Collect raw token values keyed by dotted path. Supports W3C Design Tokens ($value/$type),
+// Style Dictionary (value/type) and flat or nested name -> color maps.
+function collectTokens(node, prefix = [], inheritedType = null, out = {}) {
+  if (typeof node === 'string') {
+    out[prefix.join('.')] = { value: node, type: inheritedType };
+    return out;
+  }
+
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return out;
+
+  const groupType = node.$type || inheritedType;
+
+  if ('$value' in node) {
+    out[prefix.join('.')] = { value: node.$value, type: groupType };
+    return out;
+  }
+
+  if ('value' in node && typeof node.value !== 'object') {
+    const category = node.attributes && node.attributes.category;
+    out[prefix.join('.')] = { value: node.value, type: node.type || category || groupType };
+    return out;
+  }
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (key.startsWith('$')) return;
+    collectTokens(child, [...prefix, key], groupType, out);
+  });
+
+  return out;
+}
+
+// Load color tokens from a token file as [{ name, value, color }]
+function loadTokens(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const collected = collectTokens(raw);
+  const lookup = Object.fromEntries(Object.entries(collected).map(([name, token]) => [name, token.value]));
+
+  return Object.entries(collected)
+    .filter(([, token]) => !token.type || token.type === 'color')
+    .map(([name, token]) => {
+      const value = resolveAlias(token.value, lookup);
+      return { name, value, color: typeof value === 'string' ? parseColor(value) : null };
+    })
+    .filter(token => token.color !== null);
+}
+
+// Best level a ratio reaches, for at-a-glance matrix cells
+function getMatrixRating(compliance) {
+  if (compliance.text.AAA.normal) return 'AAA';
+  if (compliance.text.AA.normal) return 'AA';
+  if (compliance.text.AA.large) return 'AA Large';
+  return 'Fail';
+}
+
+// Compute every foreground/background combination of a token list
+function buildContrastMatrix(tokens) {
+  const pairs = [];
+
+  tokens.forEach(fg => {
+    tokens.forEach(bg => {
+      if (fg.name === bg.name) return;
+
+      const { ratio } = getCompositeContrast(fg.color, [bg.color]);
+      const compliance = {
+        text: checkCompliance(ratio, 'text'),
+        nonText: checkCompliance(ratio, 'non-text')
+      };
+
+      pairs.push({
+        foreground: fg.name,
+        background: bg.name,
+        contrastRatio: Math.round(ratio * 100) / 100,
+        compliance,
+        rating: getMatrixRating(compliance)
+      });
+    });
+  });
+
+  return {
+    tokens: tokens.map(t => ({ name: t.name, value: t.value })),
+    pairs
+  };
+}
+
+// Pairs indexed by token position: grid[i][j] is tokens[i] on tokens[j], null on the diagonal
+function getPairGrid(matrix) {
+  const index = new Map(matrix.tokens.map((t, i) => [t.name, i]));
+  const grid = matrix.tokens.map(() => matrix.tokens.map(() => null));
+  matrix.pairs.forEach(p => {
+    grid[index.get(p.foreground)][index.get(p.background)] = p;
+  });
+  return grid;
+}
+
+// Cell text shared by the grid formats
+function formatCell(pair) {
+  return `${pair.contrastRatio} ${pair.rating}`;
+}
+
+function formatMatrixJson(matrix) {
+  return JSON.stringify(matrix, null, 2);
+}
+
+// Grid with foregrounds as rows and backgrounds as columns; the diagonal is left empty
+function formatMatrixCsv(matrix) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const names = matrix.tokens.map(t => t.name);
+  const rows = getPairGrid(matrix).map((row, i) => [
+    names[i],
+    ...row.map(pair => (pair ? formatCell(pair) : ''))
+  ].map(escape).join(','));
+
+  return [['Foreground \\ Background', ...names].map(escape).join(','), ...rows].join('\n');
+}
+
+// Grid with foregrounds as rows and backgrounds as columns
+function formatMatrixMarkdown(matrix) {
+  const names = matrix.tokens.map(t => t.name);
+  const lines = [
+    `| Foreground \\ Background | ${names.join(' | ')} |`,
+    `| --- | ${names.map(() => '---').join(' | ')} |`
+  ];
+
+  getPairGrid(matrix).forEach((row, i) => {
+    const cells = row.map(pair => (pair ? formatCell(pair) : '—'));
+    lines.push(`| ${names[i]} | ${cells.join(' | ')} |`);
+  });
+
+  lines.push('');
+  lines.push('AAA: 7:1 normal text · AA: 4.5:1 normal text (AAA large) · AA Large: 3:1 large text and non-text · Fail: below 3:1');
+
+  return lines.join('\n');
+}
+
+function formatMatrixHtml(matrix) {
+  const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const tokens = matrix.tokens;
+  const ratingClass = (rating) => rating.toLowerCase().replace(/\s+/g, '-');
+
+  const header = tokens.map(t => `<th scope="col">${escape(t.name)}</th>`).join('');
+  const rows = getPairGrid(matrix).map((row, i) => {
+    const fg = tokens[i];
+    const cells = row.map((pair, j) => {
+      const bg = tokens[j];
+      if (!pair) return '<td class="same">—</td>';
+      return `<td class="${ratingClass(pair.rating)}" style="color: ${escape(fg.value)}; background: ${escape(bg.value)}">` +
+        `${pair.contrastRatio}<br><small>${pair.rating}</small></td>`;
+    }).join('');
+    return `<tr><th scope="row">${escape(fg.name)}</th>${cells}</tr>`;
+  }).join('\n');
+
+  return `<table class="contrast-matrix">
+<caption>Contrast matrix: foreground (rows) on background (columns)</caption>
+<thead><tr><th scope="col">Foreground \\ Background</th>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function formatMatrix(matrix, format) {
+  switch (format) {
+    case 'csv':
+      return formatMatrixCsv(matrix);
+    case 'markdown':
+      return formatMatrixMarkdown(matrix);
+    case 'html':
+      return formatMatrixHtml(matrix);
+    default:
+      return formatMatrixJson(matrix);
+  }
+}
+
+// CLI entry point used by calculate.js --tokens
+function runPalette(options) {
+  const format = (options.format || (options.json ? 'json' : 'markdown')).toLowerCase();
+  if (!MATRIX_FORMATS.includes(format)) {
+    console.error(`Invalid --format. Supported: ${MATRIX_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let tokens;
+  try {
+    tokens = loadTokens(path.resolve(options.tokens));
+  } catch (error) {
+    console.error(`Could not read token file: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (tokens.length < 2) {
+    console.error('Token file must contain at least two color tokens');
+    process.exit(1);
+  }
+
+  const output = formatMatrix(buildContrastMatrix(tokens), format);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output + '\n');
+    console.log(`Wrote ${format} contrast matrix for ${tokens.length} colors to ${options.output}`);
+    return;
+  }
+
+  console.log(output);
+}
+
+module.exports = {
+  loadTokens,
+  buildContrastMatrix,
+  formatMatrix,
+  formatMatrixJson,
+  formatMatrixCsv,
+  formatMatrixMarkdown,
+  formatMatrixHtml,
+  runPalette
+};
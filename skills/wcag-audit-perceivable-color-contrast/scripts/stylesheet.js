@@ -0,0 +1,479 @@
+/**
+ * Stylesheet Contrast Scanner
+ * Finds color/background pairs in CSS files and checks their contrast
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColor, flattenLayers } = require('./color');
+const { getCompositeContrast, checkCompliance, checkTextCompliance, parseFontWeight, loadFontSizeConverter } = require('./calculate');
+
+const DEFAULT_BACKGROUND = { r: 255, g: 255, b: 255, alpha: 1 };
+const ROOT_SELECTORS = [':root', 'html', ':host', 'body', '*'];
+const GROUPING_AT_RULES = ['@media', '@supports', '@layer', '@container', '@document'];
+const MAX_VAR_DEPTH = 32;
+
+// Replace comments with spaces so offsets and line numbers stay intact
+function stripComments(css) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+// Offsets where each line starts, for lineAt
+function getLineStarts(css) {
+  const starts = [0];
+  for (let i = 0; i < css.length; i++) {
+    if (css[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 1-based line of an offset, by binary search over the line starts
+function lineAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+// Index of the brace closing the block opened at `open`, skipping strings
+function findClosingBrace(css, open) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = open; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'') quote = char;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) return i;
+  }
+
+  return css.length;
+}
+
+// Split a declaration block on top-level semicolons, keeping start offsets
+function splitDeclarations(body, offset) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i <= body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'') quote = char;
+    else if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if ((char === ';' && depth === 0) || i === body.length) {
+      const text = body.slice(start, i);
+      if (text.trim()) parts.push({ text, offset: offset + start + (text.length - text.trimStart().length) });
+      start = i + 1;
+    }
+  }
+
+  return parts;
+}
+
+// Parse CSS into flat style rules: { selectors, declarations, line, conditions }
+function parseStylesheet(source) {
+  const css = stripComments(source);
+  const lineStarts = getLineStarts(css);
+  const rules = [];
+
+  const parseBlock = (start, end, conditions) => {
+    let cursor = start;
+
+    while (cursor < end) {
+      const open = css.indexOf('{', cursor);
+      const semicolon = css.indexOf(';', cursor);
+
+      if (open === -1 || open >= end) break;
+
+      // Statement at-rules (@import, @charset) end at a semicolon before any block
+      if (semicolon !== -1 && semicolon < open && css.slice(cursor, semicolon).trim().startsWith('@')) {
+        cursor = semicolon + 1;
+        continue;
+      }
+
+      const prelude = css.slice(cursor, open).trim();
+      const close = findClosingBrace(css, open);
+
+      if (prelude.startsWith('@')) {
+        if (GROUPING_AT_RULES.some(name => prelude.startsWith(name))) {
+          parseBlock(open + 1, close, [...conditions, prelude.replace(/\s+/g, ' ')]);
+        }
+      } else if (prelude) {
+        const declarations = splitDeclarations(css.slice(open + 1, close), open + 1)
+          .map(({ text, offset }) => {
+            const colon = text.indexOf(':');
+            if (colon === -1) return null;
+            const property = text.slice(0, colon).trim();
+            return {
+              property: property.startsWith('--') ? property : property.toLowerCase(),
+              value: text.slice(colon + 1).replace(/!important\s*$/i, '').trim(),
+              line: lineAt(lineStarts, offset)
+            };
+          })
+          .filter(Boolean);
+
+        rules.push({
+          selectors: prelude.split(',').map(s => s.trim().replace(/\s+/g, ' ')).filter(Boolean),
+          declarations,
+          line: lineAt(lineStarts, cursor + (css.slice(cursor, open).length - css.slice(cursor, open).trimStart().length)),
+          conditions
+        });
+      }
+
+      cursor = close + 1;
+    }
+  };
+
+  parseBlock(0, css.length, []);
+  return rules;
+}
+
+function isRootSelector(selector) {
+  return ROOT_SELECTORS.includes(selector);
+}
+
+// A theme scope is a single compound selector that qualifies the root or sets a
+// theme attribute/class, e.g. [data-theme=dark], :root.dark, html[data-mode="high-contrast"]
+function getThemeName(selector, conditions) {
+  const media = conditions.find(c => /prefers-color-scheme|prefers-contrast|forced-colors/.test(c));
+  if (isRootSelector(selector)) return media ? media : null;
+  if (/\s|>|\+|~/.test(selector)) return undefined;
+  if (/\[[^\]]+\]|\.[\w-]+/.test(selector)) return media ? `${media} ${selector}` : selector;
+  return undefined;
+}
+
+// Collect custom properties per theme: { base: {...}, themes: { name: {...} } }
+function collectCustomProperties(rules) {
+  const scopes = { base: {}, themes: {} };
+
+  rules.forEach(rule => {
+    const custom = rule.declarations.filter(d => d.property.startsWith('--'));
+    if (custom.length === 0) return;
+
+    rule.selectors.forEach(selector => {
+      const theme = getThemeName(selector, rule.conditions);
+      if (theme === undefined) return;
+
+      const target = theme === null ? scopes.base : (scopes.themes[theme] = scopes.themes[theme] || {});
+      custom.forEach(d => {
+        target[d.property] = d.value;
+      });
+    });
+  });
+
+  return scopes;
+}
+
+// Substitute var(--name, fallback) references, recursively
+function resolveVariables(value, variables, depth = 0) {
+  if (depth > MAX_VAR_DEPTH || !value.includes('var(')) return value;
+
+  const start = value.indexOf('var(');
+  let depthCount = 0;
+  let end = start + 4;
+  for (; end < value.length; end++) {
+    if (value[end] === '(') depthCount++;
+    if (value[end] === ')') {
+      if (depthCount === 0) break;
+      depthCount--;
+    }
+  }
+
+  const inner = value.slice(start + 4, end);
+  const comma = inner.indexOf(',');
+  const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+  const fallback = comma === -1 ? null : inner.slice(comma + 1).trim();
+
+  const replacement = name in variables
+    ? resolveVariables(variables[name], variables, depth + 1)
+    : fallback !== null ? resolveVariables(fallback, variables, depth + 1) : null;
+
+  if (replacement === null) return null;
+  return resolveVariables(value.slice(0, start) + replacement + value.slice(end + 1), variables, depth + 1);
+}
+
+// Extract a color from a `background` shorthand (or background-color) value
+function parseBackgroundColor(value) {
+  const direct = parseColor(value);
+  if (direct) return { color: direct };
+  if (/gradient\(|url\(/i.test(value)) return { unresolved: 'image or gradient background' };
+
+  const tokens = value.match(/[a-z-]+\([^)]*\)|#[0-9a-f]+|[a-z]+/gi) || [];
+  const color = tokens.map(token => parseColor(token)).filter(Boolean).pop();
+  return color ? { color } : { unresolved: `unrecognized background "${value}"` };
+}
+
+// Rules by selector, in source order, so the cascade for a selector is one lookup
+function indexRules(rules) {
+  const index = new Map();
+  rules.forEach(rule => {
+    new Set(rule.selectors).forEach(selector => {
+      if (!index.has(selector)) index.set(selector, []);
+      index.get(selector).push(rule);
+    });
+  });
+  return index;
+}
+
+function getDeclaration(rule, properties) {
+  return [...rule.declarations].reverse().find(d => properties.includes(d.property)) || null;
+}
+
+// Find the backgrounds painted behind a selector: every rule for the same selector, then
+// rules for ancestor selectors (dropping trailing compounds), then the body/html/:root
+// background. Rules under conditions the colored rule is not in are left out. Translucent
+// backgrounds are collected as layers (topmost first) down to the first opaque one, or
+// the default page background. `declarations` lists every background declaration read.
+function findBackground(selector, rule, index, variables) {
+  // Later rules win, so each level lists its rules last first
+  const cascade = (name) => (index.get(name) || [])
+    .filter(r => r.conditions.every(condition => rule.conditions.includes(condition)))
+    .reverse();
+  const levels = [{ selector, rules: cascade(selector) }];
+  const compounds = selector.split(/\s*[>+~]\s*|\s+/);
+
+  for (let i = compounds.length - 1; i > 0; i--) {
+    const ancestor = compounds.slice(0, i).join(' ');
+    levels.push({ selector: ancestor, rules: cascade(ancestor) });
+  }
+  ['body', 'html', ':root'].forEach(root => {
+    levels.push({ selector: root, rules: cascade(root) });
+  });
+
+  const layers = [];
+  const declarations = [];
+  const seen = new Set();
+
+  for (const level of levels) {
+    // The last rule declaring a background for this element paints it, once
+    const candidate = level.rules
+      .filter(r => !seen.has(r))
+      .map(r => ({ rule: r, declaration: getDeclaration(r, ['background-color', 'background']) }))
+      .find(c => c.declaration);
+    level.rules.forEach(r => seen.add(r));
+    if (!candidate) continue;
+
+    const { declaration } = candidate;
+    declarations.push(declaration);
+    const resolved = resolveVariables(declaration.value, { ...variables, ...localVariables(candidate.rule) });
+    if (resolved === null) return { unresolved: `undefined custom property in "${declaration.value}"`, declarations };
+
+    const parsed = parseBackgroundColor(resolved);
+    if (!parsed.color) return { ...parsed, declarations };
+    if (parsed.color.alpha === 0) continue;
+
+    layers.push({ color: parsed.color, selector: level.selector, line: declaration.line });
+    if (parsed.color.alpha >= 1) break;
+  }
+
+  const assumed = layers.length === 0 || layers[layers.length - 1].color.alpha < 1;
+  if (assumed) layers.push({ color: DEFAULT_BACKGROUND, selector: null, line: null });
+
+  return {
+    color: flattenLayers(layers.map(layer => layer.color)),
+    layers,
+    selector: layers[0].selector,
+    line: layers[0].line,
+    assumed: assumed && layers.length === 1,
+    declarations
+  };
+}
+
+function localVariables(rule) {
+  return rule.declarations
+    .filter(d => d.property.startsWith('--'))
+    .reduce((acc, d) => ({ ...acc, [d.property]: d.value }), {});
+}
+
+// Font size/weight declared on the rule, for the large text verdict
+function getFont(rule, variables) {
+  const sizeDecl = getDeclaration(rule, ['font-size']);
+  if (!sizeDecl) return null;
+
+  const { parseFontSize, toPixels } = loadFontSizeConverter();
+  const size = parseFontSize(resolveVariables(sizeDecl.value, variables) || '');
+  if (!size) return null;
+
+  const weightDecl = getDeclaration(rule, ['font-weight']);
+  const weight = parseFontWeight(weightDecl ? resolveVariables(weightDecl.value, variables) : undefined);
+  return { px: toPixels(size.value, size.unit), weight: weight === null ? 400 : weight };
+}
+
+// Check every selector that declares `color` under the base theme and each theme scope
+function scanStylesheet(source, file = '<stdin>', options = {}) {
+  const rules = parseStylesheet(source);
+  const index = indexRules(rules);
+  const scopes = collectCustomProperties(rules);
+  const level = options.level || 'AA';
+  const results = [];
+
+  rules.forEach(rule => {
+    const colorDecl = getDeclaration(rule, ['color']);
+    if (!colorDecl) return;
+
+    rule.selectors.forEach(selector => {
+      let baseline = null;
+      let usesVariables = colorDecl.value.includes('var(');
+
+      // Theme scopes only matter when the resolved foreground or background read a variable
+      [['default', {}], ...Object.entries(scopes.themes)].forEach(([theme, themeVariables]) => {
+        if (theme !== 'default' && !usesVariables) return;
+        const variables = { ...scopes.base, ...themeVariables, ...localVariables(rule) };
+        const base = { file, line: colorDecl.line, selector, theme, conditions: rule.conditions };
+
+        const fgValue = resolveVariables(colorDecl.value, variables);
+        const foreground = fgValue === null ? null : parseColor(fgValue);
+        if (!foreground) {
+          results.push({ ...base, status: 'unresolved', reason: `cannot resolve color "${colorDecl.value}"` });
+          return;
+        }
+
+        const background = findBackground(selector, rule, index, { ...scopes.base, ...themeVariables });
+        if (theme === 'default') usesVariables = usesVariables || background.declarations.some(d => d.value.includes('var('));
+        if (!background.color) {
+          results.push({ ...base, status: 'unresolved', reason: background.unresolved });
+          return;
+        }
+
+        // Only report a theme when it changes the resolved pair
+        const key = `${fgValue}|${JSON.stringify(background.color)}`;
+        if (baseline === null) baseline = key;
+        else if (key === baseline) return;
+
+        const contrast = getCompositeContrast(foreground, background.layers.map(layer => layer.color));
+        const font = getFont(rule, variables);
+        const compliance = checkCompliance(contrast.ratio, 'text');
+        const text = font ? checkTextCompliance(contrast.ratio, font.px, font.weight) : null;
+        const passes = text ? text[level] : compliance[level].normal;
+
+        results.push({
+          ...base,
+          status: passes ? 'pass' : 'fail',
+          foreground: fgValue,
+          background: {
+            value: background.color,
+            selector: background.selector,
+            line: background.line,
+            assumed: Boolean(background.assumed),
+            ...(background.layers.length > 1 ? {
+              layers: background.layers.map(layer => ({ value: layer.color, selector: layer.selector, line: layer.line }))
+            } : {})
+          },
+          contrastRatio: Math.round(contrast.ratio * 100) / 100,
+          largeText: text ? text.largeText : null,
+          required: text ? text.required[level] : (level === 'AAA' ? 7.0 : 4.5),
+          compliance
+        });
+      });
+    });
+  });
+
+  return results;
+}
+
+// Expand files and directories into a list of .css files
+function collectCssFiles(inputs) {
+  return inputs.flatMap(input => {
+    const stat = fs.statSync(input);
+    if (!stat.isDirectory()) return [input];
+    return fs.readdirSync(input)
+      .filter(name => !name.startsWith('.') && name !== 'node_modules')
+      .flatMap(name => {
+        const full = path.join(input, name);
+        return fs.statSync(full).isDirectory() ? collectCssFiles([full]) : (name.endsWith('.css') ? [full] : []);
+      });
+  });
+}
+
+function formatColor({ r, g, b, alpha }) {
+  return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 1000) / 1000})` : `rgb(${r}, ${g}, ${b})`;
+}
+
+function formatLayer(layer) {
+  return layer.selector ? `${formatColor(layer.value)} from ${layer.selector} (line ${layer.line})` : `${formatColor(layer.value)} (assumed page background)`;
+}
+
+function formatBackground(background) {
+  if (background.layers) return `${formatColor(background.value)} (${background.layers.map(formatLayer).join(' over ')})`;
+  return formatLayer(background);
+}
+
+// CLI entry point used by calculate.js --css
+function runStylesheetScan(options) {
+  const level = String(options.level || 'AA').toUpperCase();
+  if (!['AA', 'AAA'].includes(level)) {
+    console.error('Invalid --level. Supported: AA, AAA');
+    process.exit(1);
+  }
+
+  let files;
+  try {
+    files = collectCssFiles(String(options.css).split(',').map(f => f.trim()).filter(Boolean));
+  } catch (error) {
+    console.error(`Could not read stylesheet: ${error.message}`);
+    process.exit(1);
+  }
+
+  const results = files.flatMap(file => scanStylesheet(fs.readFileSync(file, 'utf8'), file, { level }));
+  const failures = results.filter(r => r.status === 'fail');
+  const unresolved = results.filter(r => r.status === 'unresolved');
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      level,
+      files,
+      summary: {
+        checked: results.length,
+        passed: results.length - failures.length - unresolved.length,
+        failed: failures.length,
+        unresolved: unresolved.length
+      },
+      results
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Scanned ${files.length} stylesheet(s): ${results.length} color declaration(s) checked at ${level}`);
+  console.log('');
+
+  if (failures.length === 0) {
+    console.log(`✅ No contrast failures found`);
+  } else {
+    console.log(`❌ ${failures.length} contrast failure(s):`);
+    failures.forEach(f => {
+      const theme = f.theme === 'default' ? '' : ` [theme: ${f.theme}]`;
+      console.log(`- ${f.file}:${f.line} ${f.selector}${theme}`);
+      console.log(`    ${f.foreground} on ${formatBackground(f.background)}: ${f.contrastRatio}:1 (needs ${f.required}:1${f.largeText ? ', large text' : ''})`);
+    });
+  }
+
+  if (unresolved.length > 0) {
+    console.log('');
+    console.log(`⚠️  ${unresolved.length} declaration(s) could not be resolved:`);
+    unresolved.forEach(u => console.log(`- ${u.file}:${u.line} ${u.selector}: ${u.reason}`));
+  }
+}
+
+module.exports = {
+  parseStylesheet,
+  collectCustomProperties,
+  resolveVariables,
+  scanStylesheet,
+  runStylesheetScan
+};
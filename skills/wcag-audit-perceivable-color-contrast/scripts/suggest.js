@@ -0,0 +1,140 @@
+/**
+ * Passing Color Suggestions
+ * Searches OKLCH for the nearest colors that reach a target contrast ratio
+ */
+
+const { toColor, colorToSrgb, srgbToOklch, oklchToSrgb, deltaE2000, formatHex } = require('./color');
+const { getCompositeContrast } = require('./calculate');
+
+const SEARCH_STEPS = 24; // binary search iterations on OKLCH lightness
+const CHROMA_SCALES = [1, 0.75, 0.5, 0.25, 0]; // keep chroma first, desaturate only if needed
+const ACHROMATIC_CHROMA = 0.0005; // grays carry only rounding noise in their OKLCH hue
+const ADJUST_TARGETS = ['foreground', 'background', 'both'];
+
+// Build a color at a new OKLCH lightness/chroma, keeping the original hue and alpha
+function withLightness(original, lch, lightness, chromaScale) {
+  const chroma = lch[1] < ACHROMATIC_CHROMA ? 0 : lch[1] * chromaScale;
+  return toColor(oklchToSrgb([lightness, chroma, lch[2]]), original.alpha);
+}
+
+// Find the lightness closest to `start` (moving towards `end`) that passes `passes`
+function searchLightness(start, end, passes) {
+  if (!passes(end)) return null;
+
+  let low = start;
+  let high = end;
+  for (let i = 0; i < SEARCH_STEPS; i++) {
+    const mid = (low + high) / 2;
+    if (passes(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return high;
+}
+
+function perceptualDistance(original, candidate) {
+  return deltaE2000(colorToSrgb(original), colorToSrgb(candidate));
+}
+
+// Candidates that adjust a single color of the pair
+function adjustOne(foreground, background, role, target) {
+  const original = role === 'foreground' ? foreground : background;
+  const lch = srgbToOklch(colorToSrgb(original));
+  const candidates = [];
+
+  CHROMA_SCALES.forEach(scale => {
+    [0, 1].forEach(end => {
+      const build = (lightness) => withLightness(original, lch, lightness, scale);
+      const ratioAt = (lightness) => {
+        const color = build(lightness);
+        return role === 'foreground'
+          ? getCompositeContrast(color, [background]).ratio
+          : getCompositeContrast(foreground, [color]).ratio;
+      };
+
+      const lightness = searchLightness(lch[0], end, l => ratioAt(l) >= target);
+      if (lightness === null) return;
+
+      const color = build(lightness);
+      candidates.push({
+        foreground: role === 'foreground' ? color : foreground,
+        background: role === 'background' ? color : background,
+        deltaE: perceptualDistance(original, color)
+      });
+    });
+  });
+
+  return candidates;
+}
+
+// Candidates that move foreground and background lightness apart in opposite directions
+function adjustBoth(foreground, background, target) {
+  const fgLch = srgbToOklch(colorToSrgb(foreground));
+  const bgLch = srgbToOklch(colorToSrgb(background));
+  const candidates = [];
+
+  CHROMA_SCALES.forEach(scale => {
+    [-1, 1].forEach(direction => {
+      // direction -1: darker foreground on lighter background; 1: the reverse
+      const build = (shift) => ({
+        foreground: withLightness(foreground, fgLch, Math.max(0, Math.min(1, fgLch[0] + direction * shift)), scale),
+        background: withLightness(background, bgLch, Math.max(0, Math.min(1, bgLch[0] - direction * shift)), scale)
+      });
+      const passes = (shift) => {
+        const pair = build(shift);
+        return getCompositeContrast(pair.foreground, [pair.background]).ratio >= target;
+      };
+
+      const shift = searchLightness(0, 1, passes);
+      if (shift === null) return;
+
+      const pair = build(shift);
+      candidates.push({
+        ...pair,
+        deltaE: perceptualDistance(foreground, pair.foreground) + perceptualDistance(background, pair.background)
+      });
+    });
+  });
+
+  return candidates;
+}
+
+// Suggest the closest foreground/background pairs (by CIEDE2000) that reach `target`
+function suggestColors(foreground, background, options = {}) {
+  const target = options.target || 4.5;
+  const adjust = options.adjust || 'foreground';
+  const count = options.count || 5;
+
+  if (!ADJUST_TARGETS.includes(adjust)) {
+    throw new Error(`Unknown adjustment: ${adjust}. Supported: ${ADJUST_TARGETS.join(', ')}`);
+  }
+
+  const candidates = adjust === 'both'
+    ? adjustBoth(foreground, background, target)
+    : adjustOne(foreground, background, adjust, target);
+
+  const seen = new Set();
+  return candidates
+    .sort((a, b) => a.deltaE - b.deltaE)
+    .filter(candidate => {
+      const key = `${formatHex(candidate.foreground)}/${formatHex(candidate.background)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count)
+    .map(candidate => ({
+      foreground: candidate.foreground,
+      background: candidate.background,
+      ratio: getCompositeContrast(candidate.foreground, [candidate.background]).ratio,
+      deltaE: candidate.deltaE
+    }));
+}
+
+module.exports = {
+  suggestColors,
+  ADJUST_TARGETS
+};